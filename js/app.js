@@ -3,17 +3,24 @@
  *
  * Coordinates:
  *   - YouTube player (player.js)
- *   - Pomodoro timer (timer.js)
+ *   - Pomodoro timer (timer.js) + profiles (profiles.js)
  *   - Task list (tasks.js)
  *   - Notes (notes.js)
+ *   - Session history + stats (history.js)
+ *   - Away detection (presence.js)
+ *   - System notifications (notifier.js + sw.js)
+ *   - Alert sounds (sounds.js)
+ *   - Spoken announcements (speech.js)
  *   - Background switching
  *   - Stream settings dialog
  *   - Panel toggles
  *   - Keyboard shortcuts
  *   - Clock display + Big clock
  *   - Stopwatch
- *   - Countdown timer
- *   - Breathing exercise
+ *   - Countdown timers (countdowns.js)
+ *   - Breathing exercise (breathing.js)
+ *   - Break activities (routines.js)
+ *   - Wellbeing reminders (reminders.js)
  *   - Equalizer
  *   - Ad detection / skip
  *
@@ -25,8 +32,18 @@
 
 import { YouTubePlayer } from './player.js';
 import { PomodoroTimer  } from './timer.js';
-import { TaskList       } from './tasks.js';
+import { TimerProfiles  } from './profiles.js';
+import { TaskList, PRIORITIES, REPEATS, DEFAULT_LIST, dueDate, dueState, parseQuickAdd, toDateString } from './tasks.js';
+import { PresenceMonitor } from './presence.js';
+import { Notifier       } from './notifier.js';
+import { SoundBoard     } from './sounds.js';
+import { Announcer      } from './speech.js';
+import { BreathingPatterns, BreathingSession, PHASE_KINDS, cycleLength, parsePhases, formatPhases } from './breathing.js';
+import { CountdownList, parseCountdown } from './countdowns.js';
+import { ROUTINES, RoutineSession, routineLength } from './routines.js';
+import { ReminderList, isBuiltIn } from './reminders.js';
 import { Notes          } from './notes.js';
+import { SessionHistory, dayKey, focusStreak } from './history.js';
 
 // ── Preset streams ─────────────────────────────────────────
 const PRESETS = [
@@ -67,21 +84,29 @@ let adSkipCooldown    = false;
 
 /** @type {YouTubePlayer} */  let player;
 /** @type {PomodoroTimer} */  let timer;
+/** @type {TimerProfiles} */  let timerProfiles;
 /** @type {TaskList}      */ let taskList;
 /** @type {Notes}         */ let notes;
+/** @type {SessionHistory} */ let sessionHistory;
+/** @type {PresenceMonitor} */ let presence;
+/** @type {Notifier}      */ let notifier;
+/** @type {SoundBoard}    */ let soundBoard;
+/** @type {Announcer}     */ let announcer;
+/** @type {CountdownList} */ let countdowns;
+/** @type {ReminderList}  */ let reminders;
 
 // Stopwatch state
 let swRunning = false, swElapsed = 0, swStart = 0, swInterval = null, swLaps = [];
-// Countdown state
-let cdRunning = false, cdTotal = 300, cdLeft = 300, cdInterval = null;
 // Breathing state
-let brInterval = null, brPhase = -1;
+/** @type {BreathingPatterns} */ let breathingPatterns;
+/** @type {BreathingSession} */  let breathing = null;
+/** @type {RoutineSession} */    let breakRoutine = null;
 // Ad detection
 const MAX_AD_DURATION_SECONDS = 120;
 let adCheckInterval = null;
 
 // ── Settings state ─────────────────────────────────────────
-let settings = { theme: 'dark', clockFormat: 'system', scene: 'gradient', showSeconds: false, showDate: true, notifSounds: true, autoResume: true, showQuoteOnStart: false, showBriefs: true };
+let settings = { theme: 'dark', clockFormat: 'system', scene: 'gradient', showSeconds: false, showDate: true, notifSounds: true, notifications: false, autoResume: true, autoStartBreaks: false, autoStartFocus: false, overtime: false, tabPriority: 'pomodoro', pausePrompt: 2, idleAway: 0, idleAction: 'pause', snoozeMins: 5, alarmAutoStop: 0, alarmGentle: false, duckMusic: true, sounds: {}, cues: {}, voice: false, voiceURI: '', voiceRate: 1, voiceVolume: 100, breathingPattern: '478', breathingLength: 0, breathingUnit: 'cycles', breathingTones: false, breakActivity: { short: 'none', long: 'none' }, autoCompleteTasks: false, taskListId: 'default', taskFilter: 'all', taskTag: '', taskSort: 'manual', timerProfile: 'classic', showQuoteOnStart: false, showBriefs: true };
 
 function loadSettings() {
   try {
@@ -121,8 +146,15 @@ document.addEventListener('DOMContentLoaded', () => {
   loadSettings();
   initSettings();
   initBackground();
-  initTimer();
+  initStats();
   initTasks();
+  initNotifications();
+  initSounds();
+  initVoice();
+  initIntervalCues();
+  initTimer();
+  initInterruptions();
+  initPresence();
   initNotes();
   initPlayerControls();
   initStreamDialog();
@@ -133,6 +165,8 @@ document.addEventListener('DOMContentLoaded', () => {
   initStopwatch();
   initCountdown();
   initBreathing();
+  initBreakActivity();
+  initReminders();
   initSkipAd();
   initAmbientSounds();
   initQuote();
@@ -142,6 +176,7 @@ document.addEventListener('DOMContentLoaded', () => {
   initVideoControls();
   initSpotifyUI();
   initRunningTools();
+  initTabStatus();
   initCredits();
   initSettingHelps();
   initZenExit();
@@ -153,6 +188,9 @@ document.addEventListener('DOMContentLoaded', () => {
   // Restore last background mode
   setBackground(settings.scene, true);
 
+  // Carry out a notification action that this page was opened for
+  notifier.handleLaunch();
+
   // Show quote on start if enabled
   if (settings.showQuoteOnStart) {
     const quotePanel = document.getElementById('quote-panel');
@@ -179,92 +217,9 @@ function dismissLoader() {
   }
 }
 
-/** Ethereal heavenly chime — layered pads + shimmer over the loader. */
+/** App-start sound as the loader fades (the ethereal chime by default). */
 function playLoaderChime() {
-  try {
-    const ctx  = new (window.AudioContext || window.webkitAudioContext)();
-    const now  = ctx.currentTime;
-
-    // Master gain
-    const master = ctx.createGain();
-    master.gain.setValueAtTime(0.18, now);
-    master.connect(ctx.destination);
-
-    // Reverb via convolver (synthetic impulse)
-    const convolver  = ctx.createConvolver();
-    const reverbLen  = ctx.sampleRate * 2.5;
-    const impulse    = ctx.createBuffer(2, reverbLen, ctx.sampleRate);
-    for (let ch = 0; ch < 2; ch++) {
-      const data = impulse.getChannelData(ch);
-      for (let i = 0; i < reverbLen; i++) {
-        data[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / reverbLen, 2.2);
-      }
-    }
-    convolver.buffer = impulse;
-
-    // Dry/wet mix
-    const dryGain = ctx.createGain();
-    const wetGain = ctx.createGain();
-    dryGain.gain.value = 0.45;
-    wetGain.gain.value = 0.55;
-    dryGain.connect(master);
-    convolver.connect(wetGain);
-    wetGain.connect(master);
-
-    // Pad chord: Cmaj7 spread across octaves — ethereal voicing
-    const padNotes = [
-      { freq: 261.63, start: 0,   dur: 2.8 },  // C4
-      { freq: 329.63, start: 0.1, dur: 2.6 },  // E4
-      { freq: 392.00, start: 0.2, dur: 2.5 },  // G4
-      { freq: 493.88, start: 0.3, dur: 2.4 },  // B4
-      { freq: 523.25, start: 0.15,dur: 2.5 },  // C5
-    ];
-
-    padNotes.forEach(({ freq, start, dur }) => {
-      // Two detuned oscillators for warmth
-      [-4, 4].forEach(detune => {
-        const osc  = ctx.createOscillator();
-        const gain = ctx.createGain();
-        osc.type            = 'sine';
-        osc.frequency.value = freq;
-        osc.detune.value    = detune;
-        // Slow swell in, long fade out
-        gain.gain.setValueAtTime(0, now + start);
-        gain.gain.linearRampToValueAtTime(0.07, now + start + 0.6);
-        gain.gain.setValueAtTime(0.07, now + start + dur * 0.5);
-        gain.gain.exponentialRampToValueAtTime(0.001, now + start + dur);
-        osc.connect(gain);
-        gain.connect(dryGain);
-        gain.connect(convolver);
-        osc.start(now + start);
-        osc.stop(now + start + dur + 0.1);
-      });
-    });
-
-    // Shimmer arpeggiated bells on top
-    const shimmer = [
-      { freq: 1046.50, start: 0.3, dur: 1.2 },  // C6
-      { freq: 1318.51, start: 0.6, dur: 1.0 },  // E6
-      { freq: 1567.98, start: 0.9, dur: 1.0 },  // G6
-      { freq: 1975.53, start: 1.2, dur: 1.2 },  // B6
-    ];
-
-    shimmer.forEach(({ freq, start, dur }) => {
-      const osc  = ctx.createOscillator();
-      const gain = ctx.createGain();
-      osc.type            = 'triangle';
-      osc.frequency.value = freq;
-      gain.gain.setValueAtTime(0, now + start);
-      gain.gain.linearRampToValueAtTime(0.04, now + start + 0.04);
-      gain.gain.exponentialRampToValueAtTime(0.001, now + start + dur);
-      osc.connect(gain);
-      gain.connect(dryGain);
-      gain.connect(convolver);
-      osc.start(now + start);
-      osc.stop(now + start + dur + 0.1);
-    });
-
-  } catch { /* AudioContext blocked or unavailable */ }
+  playEventSound('appStart');
 }
 
 // ── YouTube API ready ──────────────────────────────────────
@@ -856,35 +811,59 @@ function initTimer() {
   timer = new PomodoroTimer({
     onTick: (secs, mode) => {
       document.getElementById('timer-time').textContent = timer.format(secs);
-      // Update page title during focus sessions
-      if (mode === 'focus') {
-        document.title = `${timer.format(secs)} — focusfi`;
-      }
+      updateTabStatus();
       // Update big clock Pomodoro overlay
       updateBigClockPomo(secs);
+      checkIntervalCues(secs, mode);
     },
     onEnd: (mode) => {
       if (mode === 'focus') {
-        if (player) player.pause();
-        startAlarm('Focus session complete — take a break!');
+        if (taskList.creditCurrent()) renderTasks();
+        // Ducked under the alarm instead when that's on
+        if (player && !settings.duckMusic) player.pause();
+        // Finishing from overtime is a deliberate click — no alarm needed
+        const next = timer.focusSessions % timer.longBreakInterval === 0 ? 'long' : 'short';
+        if (!timer.inOvertime) {
+          const spoken = announce(`Focus session complete, take a ${timer.durations[next] / 60}-minute break`);
+          startAlarm('Focus session complete — take a break!', 'focusEnd', spoken);
+          showTimerNotification(mode);
+        }
+        queueBreakActivity(next);
       } else {
         if (player && settings.autoResume) player.play();
-        startAlarm('Break over — back to work!');
+        startAlarm('Break over — back to work!', 'breakEnd', announce('Break over, time to focus'));
+        showTimerNotification(mode);
       }
       updateSessionMeta();
       document.getElementById('btn-timer-start').textContent = 'Start';
       hideBigClockPomo();
     },
     onModeChange: (mode) => {
+      if (mode === 'focus') endBreakActivity();
       syncModeTabUI(mode);
       updateSessionMeta();
       document.getElementById('timer-time').textContent =
         timer.format(timer.timeLeft);
-      document.getElementById('btn-timer-start').textContent = 'Start';
-      document.title = 'focusfi';
+      updateTimerControls();
+      updateTabStatus();
       hideBigClockPomo();
     },
+    onSessionRecord: logSession,
+    onStateChange:   syncTimerNotification,
+    onAutoStart: () => {
+      updateTimerControls();
+      showBigClockPomo();
+      updateBigClockPomo(timer.timeLeft);
+    },
+    onOvertime: () => {
+      updateTimerControls();
+      playOvertimeCue();
+      showToast('Focus time is up — keep going while you\'re in flow, then press Finish', 5000);
+    },
   });
+  timer.autoStartBreaks = settings.autoStartBreaks;
+  timer.autoStartFocus  = settings.autoStartFocus;
+  timer.allowOvertime   = settings.overtime;
 
   // Mode tab buttons
   document.querySelectorAll('.mode-tab').forEach((btn) => {
@@ -893,12 +872,23 @@ function initTimer() {
     });
   });
 
-  // Start / Pause
+  // Start / Pause (Finish once a flow session has run into overtime)
   document.getElementById('btn-timer-start').addEventListener('click', () => {
+    if (timer.inOvertime) {
+      finishOvertime();
+      return;
+    }
+    const pausedFor = timer.pausedAt ? Date.now() - timer.pausedAt : 0;
     const running = timer.toggle();
-    document.getElementById('btn-timer-start').textContent = running ? 'Pause' : 'Start';
+    updateTimerControls();
     if (running) {
+      cancelSnooze();
       showBigClockPomo();
+      // A long pause mid-focus was probably an interruption — ask why
+      if (timer.mode === 'focus' && settings.pausePrompt > 0 &&
+          pausedFor >= settings.pausePrompt * 60000) {
+        openInterruptDialog(Math.round(pausedFor / 60000));
+      }
     } else {
       // still show it while paused if time remains
     }
@@ -907,23 +897,176 @@ function initTimer() {
   // Reset
   document.getElementById('btn-timer-reset').addEventListener('click', () => {
     timer.reset();
-    document.getElementById('btn-timer-start').textContent = 'Start';
+    updateTimerControls();
+    updateSessionMeta();
     hideBigClockPomo();
   });
 
   // Duration inputs
   document.getElementById('inp-focus').addEventListener('change', (e) => {
     timer.setDuration('focus', parseInt(e.target.value, 10));
+    syncTimerProfile();
   });
   document.getElementById('inp-break').addEventListener('change', (e) => {
-    const mins = parseInt(e.target.value, 10);
-    timer.setDuration('short', mins);
-    timer.setDuration('long', mins * 3);
+    timer.setDuration('short', parseInt(e.target.value, 10));
+    syncTimerProfile();
+  });
+  document.getElementById('inp-long').addEventListener('change', (e) => {
+    timer.setDuration('long', parseInt(e.target.value, 10));
+    syncTimerProfile();
+  });
+  document.getElementById('inp-cycle').addEventListener('change', (e) => {
+    timer.setLongBreakInterval(parseInt(e.target.value, 10) || 4);
+    e.target.value = timer.longBreakInterval;
+    updateSessionMeta();
+    syncTimerProfile();
   });
 
   // Initial display
   document.getElementById('timer-time').textContent = timer.format(timer.timeLeft);
   updateSessionMeta();
+
+  // Resume a session left running before a reload
+  timer.restore();
+  syncTimerNotification();
+  syncTimerInputs();
+  updateSessionMeta();
+  initTimerProfiles();
+  updateTimerControls();
+  if (timer.isRunning) {
+    showBigClockPomo();
+    updateBigClockPomo(timer.timeLeft);
+  }
+}
+
+function updateTimerControls() {
+  document.getElementById('btn-timer-start').textContent =
+    timer.inOvertime ? 'Finish' : timer.isRunning ? 'Pause' : 'Start';
+  document.getElementById('btn-timer-interrupt').disabled = !canLogInterruption();
+  document.getElementById('btn-timer-skip').classList.toggle('hidden', timer.mode === 'focus');
+}
+
+/** End an overtime session; the next break grows in proportion. */
+function finishOvertime() {
+  const over = -timer.timeLeft;
+  timer.finish();
+  showToast(`+${timer.format(over)} of flow logged — enjoy a ${Math.round(timer.planned / 60)}-minute break`);
+}
+
+/** Soft two-note cue when a flow session passes zero. */
+function playOvertimeCue() {
+  beep(523.25, 0.08, 0.7);
+  beep(783.99, 0.06, 1.0, 0.2);
+}
+
+function syncTimerInputs() {
+  document.getElementById('inp-focus').value = timer.durations.focus / 60;
+  document.getElementById('inp-break').value = timer.durations.short / 60;
+  document.getElementById('inp-long').value  = timer.durations.long / 60;
+  document.getElementById('inp-cycle').value = timer.longBreakInterval;
+}
+
+// ── Timer profiles ────────────────────────────────────────
+function initTimerProfiles() {
+  timerProfiles = new TimerProfiles();
+  const select = document.getElementById('timer-profile');
+
+  select.addEventListener('change', () => {
+    const profile = timerProfiles.get(select.value);
+    if (!profile) return;
+    // New durations reset the session on show, so don't drop one under way unasked
+    if (timer.startedAt && !confirm(`Switch to "${profile.name}"? The current session will be reset.`)) {
+      renderTimerProfiles();
+      return;
+    }
+    applyTimerProfile(profile);
+  });
+
+  document.getElementById('btn-profile-save').addEventListener('click', () => {
+    const name = prompt('Name this timer profile:');
+    if (!name || !name.trim()) return;
+    const profile = timerProfiles.add(name, currentTimerValues());
+    settings.timerProfile = profile.id;
+    saveSettings();
+    renderTimerProfiles();
+    showToast(`Saved profile "${profile.name}"`);
+  });
+
+  document.getElementById('btn-profile-delete').addEventListener('click', () => {
+    const profile = timerProfiles.get(select.value);
+    if (!profile || profile.builtIn) return;
+    if (!confirm(`Delete profile "${profile.name}"?`)) return;
+    timerProfiles.remove(profile.id);
+    syncTimerProfile();
+  });
+
+  // Restore the last-used profile — unless a session is already under way,
+  // in which case the restored timer state wins
+  const last = timerProfiles.get(settings.timerProfile);
+  if (last && !timerMatchesProfile(last) && !timer.startedAt) {
+    applyTimerProfile(last);
+  } else {
+    syncTimerProfile();
+  }
+}
+
+/** Current durations in the same shape as a profile. */
+function currentTimerValues() {
+  return {
+    focus: timer.durations.focus / 60,
+    short: timer.durations.short / 60,
+    long:  timer.durations.long / 60,
+    cycle: timer.longBreakInterval,
+  };
+}
+
+function timerMatchesProfile(profile) {
+  const v = currentTimerValues();
+  return profile.focus === v.focus && profile.short === v.short &&
+    profile.long === v.long && profile.cycle === v.cycle;
+}
+
+function applyTimerProfile(profile) {
+  timer.setDuration('focus', profile.focus);
+  timer.setDuration('short', profile.short);
+  timer.setDuration('long',  profile.long);
+  timer.setLongBreakInterval(profile.cycle);
+  syncTimerInputs();
+  updateSessionMeta();
+  updateTimerControls();
+  settings.timerProfile = profile.id;
+  saveSettings();
+  renderTimerProfiles();
+}
+
+/** After a manual edit, select whichever profile the durations now match. */
+function syncTimerProfile() {
+  const last = timerProfiles.get(settings.timerProfile);
+  const profile = last && timerMatchesProfile(last) ? last : timerProfiles.match(currentTimerValues());
+  settings.timerProfile = profile ? profile.id : '';
+  saveSettings();
+  renderTimerProfiles();
+}
+
+function renderTimerProfiles() {
+  const select = document.getElementById('timer-profile');
+  select.innerHTML = '';
+  timerProfiles.all.forEach((p) => {
+    const opt = document.createElement('option');
+    opt.value       = p.id;
+    opt.textContent = p.name;
+    select.appendChild(opt);
+  });
+  if (!settings.timerProfile) {
+    const opt = document.createElement('option');
+    opt.value       = '';
+    opt.textContent = 'Custom';
+    select.appendChild(opt);
+  }
+  select.value = settings.timerProfile;
+
+  const current = timerProfiles.get(settings.timerProfile);
+  document.getElementById('btn-profile-delete').disabled = !current || !!current.builtIn;
 }
 
 function syncModeTabUI(mode) {
@@ -936,7 +1079,14 @@ function syncModeTabUI(mode) {
 function updateSessionMeta() {
   document.getElementById('session-dots').textContent  = timer.dots;
   document.getElementById('session-label').textContent =
-    `Session ${timer.sessionNumber} of 4`;
+    `Session ${timer.sessionNumber} of ${timer.longBreakInterval}`;
+
+  const list     = timer.interruptions;
+  const internal = list.filter((i) => i.kind === 'internal').length;
+  const tally    = document.getElementById('session-interrupts');
+  tally.classList.toggle('hidden', !list.length);
+  tally.textContent = `${internal}i · ${list.length - internal}e`;
+  tally.title = `This session: ${internal} internal, ${list.length - internal} external interruption${list.length === 1 ? '' : 's'}`;
 }
 
 // ── Big clock Pomodoro integration ────────────────────────
@@ -950,27 +1100,43 @@ function updateBigClockPomo(secs) {
   const el = document.getElementById('big-clock-pomo');
   if (el.classList.contains('hidden')) return;
   document.getElementById('big-clock-pomo-time').textContent = timer.format(secs);
-  const endDate = new Date(Date.now() + secs * 1000);
-  let endHours = endDate.getHours();
-  const endMinutes = String(endDate.getMinutes()).padStart(2, '0');
+  updateBigClockPomoTask();
+  if (secs < 0) {
+    document.getElementById('big-clock-pomo-end').textContent = 'in overtime';
+    return;
+  }
+  document.getElementById('big-clock-pomo-end').textContent =
+    `ends at ${formatClockTime(new Date(Date.now() + secs * 1000))}`;
+}
 
-  const use12 = settings.clockFormat === '12h' ||
+/** Whether times are shown on a 12-hour clock (settings.clockFormat). */
+function uses12HourClock() {
+  return settings.clockFormat === '12h' ||
     (settings.clockFormat === 'system' &&
       /[AP]M/i.test(new Date().toLocaleTimeString([], { hour: 'numeric' })));
+}
 
-  let endStr;
-  if (use12) {
-    const ampm = endHours >= 12 ? 'PM' : 'AM';
-    endHours = endHours % 12 || 12;
-    endStr = `${endHours}:${endMinutes} ${ampm}`;
-  } else {
-    endStr = `${String(endHours).padStart(2, '0')}:${endMinutes}`;
+/** Hours and minutes in the chosen clock format, e.g. "2:30 PM" or "14:30". */
+function formatClockTime(date) {
+  const minutes = String(date.getMinutes()).padStart(2, '0');
+  if (uses12HourClock()) {
+    const ampm = date.getHours() >= 12 ? 'PM' : 'AM';
+    return `${date.getHours() % 12 || 12}:${minutes} ${ampm}`;
   }
-  document.getElementById('big-clock-pomo-end').textContent = `ends at ${endStr}`;
+  return `${String(date.getHours()).padStart(2, '0')}:${minutes}`;
+}
+
+/** Show the current task's title next to the running Pomodoro. */
+function updateBigClockPomoTask() {
+  const task = taskList.current;
+  const el   = document.getElementById('big-clock-pomo-task');
+  el.textContent = task ? task.text : '';
+  el.classList.toggle('hidden', !task);
+  document.querySelector('.pomo-task-sep').classList.toggle('hidden', !task);
 }
 
 /**
- * Tiny Web Audio beep — no audio files needed.
+ * Tiny Web Audio beep through the shared sound board.
  * @param {number} freq      Hz
  * @param {number} vol       0–1 gain
  * @param {number} duration  seconds
@@ -978,94 +1144,103 @@ function updateBigClockPomo(secs) {
  */
 function beep(freq, vol, duration, delay = 0) {
   if (!settings.notifSounds) return;
-  try {
-    const ctx  = new (window.AudioContext || window.webkitAudioContext)();
-    const osc  = ctx.createOscillator();
-    const gain = ctx.createGain();
-    osc.connect(gain);
-    gain.connect(ctx.destination);
-    osc.type            = 'sine';
-    osc.frequency.value = freq;
-    gain.gain.setValueAtTime(vol, ctx.currentTime + delay);
-    gain.gain.exponentialRampToValueAtTime(0.0001, ctx.currentTime + delay + duration);
-    osc.start(ctx.currentTime + delay);
-    osc.stop(ctx.currentTime + delay + duration + 0.05);
-  } catch { /* AudioContext blocked or unavailable */ }
+  soundBoard.tone(freq, vol, duration, delay);
 }
 
 // ── Persistent Alarm ──────────────────────────────────────
-let alarmCtx  = null;
-let alarmOscs = [];
-let alarmInterval = null;
+let alarmSound    = null; // looping SoundBoard handle
+let alarmMessage  = '';
+let alarmEvent    = '';
+let alarmAutoStop = null;
+let alarmSnooze   = null;
+let alarmRings    = 0;    // bumped per alarm, so a late-starting sound can tell it's stale
+let alarmDucked   = false; // whether the ringing alarm turned the music down
+
+const ALARM_RAMP = 30; // seconds for a gentle alarm to reach full volume
+const ALARM_HOLD = 8;  // seconds the alarm waits at most for an announcement
 
 /**
- * Show the alarm overlay and play a looping alarm sound.
+ * Show the alarm overlay and loop the event's alarm sound.
  * @param {string} message  Text to show in the overlay
+ * @param {string} [event]  SOUND_EVENTS id picking the sound
+ * @param {Promise} [after] hold the sound until this settles, e.g. an announcement —
+ *   for ALARM_HOLD seconds at most, as some browsers never report the end of speech
  */
-function startAlarm(message = "Time's up!") {
-  if (!settings.notifSounds) {
-    // Still show the visual overlay even if sounds are off
-    showAlarmOverlay(message);
-    return;
+function startAlarm(message = "Time's up!", event = 'countdownEnd', after = null) {
+  clearTimeout(alarmSnooze);
+  alarmSnooze  = null;
+  alarmMessage = message;
+  alarmEvent   = event;
+  showAlarmOverlay(message);
+
+  clearTimeout(alarmAutoStop);
+  if (settings.alarmAutoStop > 0) {
+    alarmAutoStop = setTimeout(stopAlarm, settings.alarmAutoStop * 60000);
   }
 
-  showAlarmOverlay(message);
+  const ring = ++alarmRings;
+  if (after) {
+    const held = new Promise((resolve) => setTimeout(resolve, ALARM_HOLD * 1000));
+    Promise.race([after, held]).then(() => { if (ring === alarmRings) ringAlarm(event); });
+  } else {
+    ringAlarm(event);
+  }
+}
+
+function ringAlarm(event) {
+  // Still show the visual overlay even if sounds are off; a second
+  // alarm while one is ringing just takes over the message
+  const { sound, volume } = soundFor(event);
+  if (!settings.notifSounds || sound === 'none' || alarmSound) return;
 
   try {
-    alarmCtx = new (window.AudioContext || window.webkitAudioContext)();
-    playAlarmPattern();
-    // Repeat the pattern every 1.6s
-    alarmInterval = setInterval(playAlarmPattern, 1600);
+    // A gentle alarm starts barely audible and swells to full volume
+    alarmSound = soundBoard.loop(sound, volume / 100, { ramp: settings.alarmGentle ? ALARM_RAMP : 0 });
+    if (settings.duckMusic) {
+      duckMusic();
+      alarmDucked = true;
+    }
   } catch { /* AudioContext unavailable */ }
 }
 
-function playAlarmPattern() {
-  if (!alarmCtx) return;
-  const ctx = alarmCtx;
-  const now = ctx.currentTime;
-
-  // Two-tone alternating alarm: high-low-high-low
-  const pattern = [
-    { freq: 880,  start: 0,    dur: 0.18 },
-    { freq: 660,  start: 0.22, dur: 0.18 },
-    { freq: 880,  start: 0.44, dur: 0.18 },
-    { freq: 660,  start: 0.66, dur: 0.18 },
-    { freq: 988,  start: 0.9,  dur: 0.25 },  // higher peak note
-    { freq: 660,  start: 1.2,  dur: 0.18 },
-  ];
-
-  pattern.forEach(({ freq, start, dur }) => {
-    const osc  = ctx.createOscillator();
-    const gain = ctx.createGain();
-    osc.type            = 'sine';
-    osc.frequency.value = freq;
-    gain.gain.setValueAtTime(0, now + start);
-    gain.gain.linearRampToValueAtTime(0.22, now + start + 0.02);
-    gain.gain.setValueAtTime(0.22, now + start + dur * 0.7);
-    gain.gain.exponentialRampToValueAtTime(0.001, now + start + dur);
-    osc.connect(gain);
-    gain.connect(ctx.destination);
-    osc.start(now + start);
-    osc.stop(now + start + dur + 0.05);
-    alarmOscs.push(osc);
-  });
-}
-
 function stopAlarm() {
+  clearTimeout(alarmAutoStop);
+  alarmAutoStop = null;
+  alarmRings++;
   // Stop audio
-  clearInterval(alarmInterval);
-  alarmInterval = null;
-  alarmOscs.forEach(osc => { try { osc.stop(); } catch {} });
-  alarmOscs = [];
-  if (alarmCtx) { try { alarmCtx.close(); } catch {} alarmCtx = null; }
+  if (alarmSound) {
+    alarmSound.stop();
+    alarmSound = null;
+    // By whether this alarm ducked, as the setting may have changed since
+    if (alarmDucked) restoreMusic();
+    alarmDucked = false;
+  }
   // Hide overlay
   hideAlarmOverlay();
+  // The break's activity was waiting for the alarm
+  if (pendingBreak) startBreakActivity(pendingBreak);
+}
+
+/** Silence the alarm and ring it again after the snooze length. */
+function snoozeAlarm() {
+  const message = alarmMessage;
+  const event   = alarmEvent;
+  stopAlarm();
+  alarmSnooze = setTimeout(() => startAlarm(message, event), settings.snoozeMins * 60000);
+  showToast(`Snoozed for ${settings.snoozeMins} min`);
+}
+
+/** Drop a snoozed alarm, e.g. once the next session has been started anyway. */
+function cancelSnooze() {
+  clearTimeout(alarmSnooze);
+  alarmSnooze = null;
 }
 
 function showAlarmOverlay(message) {
   const overlay = document.getElementById('alarm-overlay');
   const msgEl   = document.getElementById('alarm-message');
   if (msgEl) msgEl.textContent = message;
+  updateSnoozeLabel();
   overlay.classList.remove('hidden');
 }
 
@@ -1073,71 +1248,1510 @@ function hideAlarmOverlay() {
   document.getElementById('alarm-overlay').classList.add('hidden');
 }
 
-// Wire up the stop button (runs once at init)
+function updateSnoozeLabel() {
+  const btn = document.getElementById('btn-alarm-snooze');
+  if (btn) btn.textContent = `Snooze ${settings.snoozeMins} min`;
+}
+
+// Wire up the stop and snooze buttons (runs once at init)
 (function initAlarmOverlay() {
   document.addEventListener('DOMContentLoaded', () => {
-    document.getElementById('btn-alarm-stop')?.addEventListener('click', stopAlarm);
+    document.getElementById('btn-alarm-stop')?.addEventListener('click', () => {
+      cancelSnooze();
+      stopAlarm();
+    });
+    document.getElementById('btn-alarm-snooze')?.addEventListener('click', snoozeAlarm);
   });
 })();
 
+// ── Music ducking ─────────────────────────────────────────
+// Alarms turn the music and ambient sounds down rather than pausing
+// them. Ducks nest, so the volume only comes back once the last one ends.
+const DUCK_LEVEL = 0.15;
+let duckCount = 0;
+let duckedSpotify = false;
+
+function duckMusic() {
+  if (duckCount++ > 0) return;
+  setMusicLevel(DUCK_LEVEL);
+  // The Spotify embed has no volume control, so it has to pause
+  if (musicSource === 'spotify' && spotifyController && !spotifyPaused) {
+    spotifyController.pause();
+    duckedSpotify = true;
+  }
+}
+
+function restoreMusic() {
+  if (duckCount === 0 || --duckCount > 0) return;
+  setMusicLevel(1);
+  if (duckedSpotify && spotifyController) spotifyController.resume();
+  duckedSpotify = false;
+}
+
+/** Scale YouTube and ambient volume relative to their sliders. */
+function setMusicLevel(level) {
+  if (player && player.isReady && !player.isMuted) {
+    try { player.player.setVolume(player.volume * level); } catch {}
+  }
+  const ambientVol = parseInt(document.getElementById('ambient-volume').value, 10) / 100;
+  Object.values(ambientAudios).forEach(n => {
+    if (n.gain) n.gain.gain.value = ambientVol * level;
+    else if (n.audio) n.audio.volume = ambientVol * level;
+  });
+}
+
+// ═══════════════════════════════════════════════════════════
+// ALERT SOUNDS (one sound + volume per event, set in Settings)
+// ═══════════════════════════════════════════════════════════
+
+const SOUND_EVENTS = [
+  { id: 'focusEnd',     name: 'Focus ends',     sound: 'alarm' },
+  { id: 'breakEnd',     name: 'Break ends',     sound: 'alarm' },
+  { id: 'countdownEnd', name: 'Countdown ends', sound: 'alarm' },
+  { id: 'appStart',     name: 'App start',      sound: 'chime' },
+  { id: 'cue',          name: 'Interval cue',   sound: 'marimba', volume: 60 },
+  { id: 'reminder',     name: 'Reminder',       sound: 'chime',   volume: 60 },
+];
+
+let soundPreview = null;
+
+function initSounds() {
+  // Alerts share the ambient sounds' AudioContext so cues can mix with them
+  soundBoard = new SoundBoard({ context: () => getSharedAudioGraph().ctx });
+  renderSoundSettings();
+  soundBoard.loadUserSounds().then(renderSoundSettings).catch(() => {});
+
+  const fileInp = document.getElementById('inp-sound-file');
+  document.getElementById('btn-sound-import').addEventListener('click', () => fileInp.click());
+  fileInp.addEventListener('change', async () => {
+    const file = fileInp.files[0];
+    fileInp.value = '';
+    if (!file) return;
+    try {
+      const sound = await soundBoard.importFile(file);
+      renderSoundSettings();
+      showToast(`Imported "${sound.name}"`);
+    } catch (err) {
+      showToast(err.message);
+    }
+  });
+}
+
+/**
+ * The sound and volume (0–100) set for an event. Falls back to the
+ * default if its imported sound has since been deleted.
+ * @param {string} event  SOUND_EVENTS id
+ */
+function soundFor(event) {
+  const def   = SOUND_EVENTS.find((e) => e.id === event);
+  const saved = settings.sounds[event] || {};
+  const sound = saved.sound === 'none' || soundBoard.has(saved.sound) ? saved.sound : def.sound;
+  return { sound, volume: saved.volume ?? def.volume ?? 100 };
+}
+
+/**
+ * Play an event's sound once, if sounds are on.
+ * @param {string} event  SOUND_EVENTS id
+ * @param {AudioNode} [output] default: the speakers
+ */
+function playEventSound(event, output) {
+  const { sound, volume } = soundFor(event);
+  if (!settings.notifSounds || sound === 'none') return;
+  try { soundBoard.play(sound, volume / 100, { output }); } catch { /* AudioContext unavailable */ }
+}
+
+function renderSoundSettings() {
+  const list = document.getElementById('sound-events');
+  list.innerHTML = '';
+
+  SOUND_EVENTS.forEach((ev) => {
+    const { sound, volume } = soundFor(ev.id);
+    const row = document.createElement('div');
+    row.className = 'sound-event';
+    row.innerHTML = `
+      <span class="sound-event-name">${ev.name}</span>
+      <select class="sound-select setting-select" aria-label="${ev.name} sound"></select>
+      <input type="range" class="sound-volume setting-range" min="0" max="100" aria-label="${ev.name} volume">
+      <button class="btn-secondary btn-sm sound-preview" aria-label="Preview ${ev.name} sound" title="Preview">
+        <svg class="icon icon-sm"><use href="#ic-play"/></svg>
+      </button>`;
+    const select = row.querySelector('.sound-select');
+    const slider = row.querySelector('.sound-volume');
+    [{ id: 'none', name: 'None' }, ...soundBoard.all].forEach((s) => {
+      const opt = document.createElement('option');
+      opt.value       = s.id;
+      opt.textContent = s.name;
+      select.appendChild(opt);
+    });
+    select.value = sound;
+    slider.value = volume;
+
+    const save = () => {
+      settings.sounds = { ...settings.sounds, [ev.id]: { sound: select.value, volume: parseInt(slider.value, 10) } };
+      saveSettings();
+    };
+    select.addEventListener('change', save);
+    slider.addEventListener('change', save);
+    row.querySelector('.sound-preview').addEventListener('click', () => {
+      soundPreview?.stop();
+      soundPreview = null;
+      if (select.value === 'none') return;
+      try { soundPreview = soundBoard.play(select.value, parseInt(slider.value, 10) / 100); } catch { /* AudioContext unavailable */ }
+    });
+    list.appendChild(row);
+  });
+
+  // Imported sounds, each removable
+  const userList = document.getElementById('sound-user-list');
+  userList.innerHTML = '';
+  soundBoard.user.forEach((s) => {
+    const item = document.createElement('div');
+    item.className = 'sound-user-item';
+    const name = document.createElement('span');
+    name.textContent = s.name;
+    const del = document.createElement('button');
+    del.className = 'btn-ghost';
+    del.setAttribute('aria-label', `Delete ${s.name}`);
+    del.innerHTML = '<svg class="icon icon-sm"><use href="#ic-trash"/></svg>';
+    del.addEventListener('click', async () => {
+      if (!confirm(`Delete the sound "${s.name}"?`)) return;
+      await soundBoard.removeUserSound(s.id).catch(() => {});
+      renderSoundSettings();
+    });
+    item.append(name, del);
+    userList.appendChild(item);
+  });
+}
+
+// ═══════════════════════════════════════════════════════════
+// VOICE ANNOUNCEMENTS
+// ═══════════════════════════════════════════════════════════
+
+function initVoice() {
+  announcer = new Announcer({
+    voiceURI: settings.voiceURI,
+    rate:     settings.voiceRate,
+    volume:   settings.voiceVolume / 100,
+    // Music ducks under each phrase
+    onStart:  duckMusic,
+    onEnd:    restoreMusic,
+  });
+
+  const enableCb = document.getElementById('setting-voice');
+  const voiceSel = document.getElementById('setting-voice-name');
+  const rateInp  = document.getElementById('setting-voice-rate');
+  const volInp   = document.getElementById('setting-voice-volume');
+
+  if (!announcer.supported) {
+    enableCb.disabled = true;
+    enableCb.closest('.setting-toggle-row').title = "This browser can't speak";
+  }
+  enableCb.checked = settings.voice && announcer.supported;
+  enableCb.addEventListener('change', () => {
+    settings.voice = enableCb.checked;
+    saveSettings();
+  });
+
+  const renderVoices = () => {
+    voiceSel.innerHTML = '';
+    const def = document.createElement('option');
+    def.value       = '';
+    def.textContent = 'Browser default';
+    voiceSel.appendChild(def);
+    announcer.voices.forEach((v) => {
+      const opt = document.createElement('option');
+      opt.value       = v.voiceURI;
+      opt.textContent = `${v.name} (${v.lang})`;
+      voiceSel.appendChild(opt);
+    });
+    voiceSel.value = announcer.voices.some((v) => v.voiceURI === settings.voiceURI) ? settings.voiceURI : '';
+  };
+  renderVoices();
+  announcer.onVoicesChanged(renderVoices);
+  voiceSel.addEventListener('change', () => {
+    settings.voiceURI = announcer.voiceURI = voiceSel.value;
+    saveSettings();
+  });
+
+  rateInp.value = Math.round(settings.voiceRate * 100);
+  rateInp.addEventListener('change', () => {
+    settings.voiceRate = announcer.rate = parseInt(rateInp.value, 10) / 100;
+    saveSettings();
+  });
+  volInp.value = settings.voiceVolume;
+  volInp.addEventListener('change', () => {
+    settings.voiceVolume = parseInt(volInp.value, 10);
+    announcer.volume = settings.voiceVolume / 100;
+    saveSettings();
+  });
+
+  document.getElementById('btn-voice-test').addEventListener('click', () => {
+    announcer.speak('Focus session complete, take a five-minute break', { interrupt: true });
+  });
+}
+
+/**
+ * Speak a phrase if announcements are on.
+ * @param {string} text
+ * @param {object} [opts]  see Announcer#speak
+ * @returns {Promise<void>} settles once it's been said (at once if off)
+ */
+function announce(text, opts) {
+  if (!settings.voice || !announcer) return Promise.resolve();
+  return announcer.speak(text, opts);
+}
+
+// ═══════════════════════════════════════════════════════════
+// INTERVAL CUES (soft sounds at points during a running session)
+// ═══════════════════════════════════════════════════════════
+
+let cueMode = 'focus';   // mode whose cues the settings show
+let cueLastTick = null;  // { mode, secs } at the last tick of a running session
+
+/** @param {string} mode  timer mode */
+function cueSettings(mode) {
+  return { every: 0, left: 0, halfway: false, ...settings.cues[mode] };
+}
+
+function initIntervalCues() {
+  const everyInp   = document.getElementById('setting-cue-every');
+  const leftInp    = document.getElementById('setting-cue-left');
+  const halfwayCb  = document.getElementById('setting-cue-halfway');
+
+  const show = () => {
+    const cfg = cueSettings(cueMode);
+    everyInp.value    = cfg.every;
+    leftInp.value     = cfg.left;
+    halfwayCb.checked = cfg.halfway;
+    document.querySelectorAll('.cue-mode-btn').forEach(b =>
+      b.classList.toggle('active', b.dataset.mode === cueMode)
+    );
+  };
+  const save = () => {
+    const every = Math.max(0, Math.min(60, parseInt(everyInp.value, 10) || 0));
+    const left  = Math.max(0, Math.min(60, parseInt(leftInp.value, 10) || 0));
+    settings.cues = { ...settings.cues, [cueMode]: { every, left, halfway: halfwayCb.checked } };
+    saveSettings();
+    show();
+  };
+
+  document.querySelectorAll('.cue-mode-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      cueMode = btn.dataset.mode;
+      show();
+    });
+  });
+  everyInp.addEventListener('change', save);
+  leftInp.addEventListener('change', save);
+  halfwayCb.addEventListener('change', save);
+  show();
+}
+
+/**
+ * Play a cue if this tick passed one of the mode's cue points. Compares
+ * with the previous tick rather than matching exact seconds, so a tick
+ * skipped by a throttled tab still cues — once, however many it passed.
+ */
+function checkIntervalCues(secs, mode) {
+  const last = cueLastTick;
+  cueLastTick = timer.isRunning ? { mode, secs } : null;
+  // Only time running down counts; the end itself gets the alarm
+  if (!last || !timer.isRunning || last.mode !== mode || secs >= last.secs || secs <= 0) return;
+
+  const cfg     = cueSettings(mode);
+  const planned = timer.planned;
+  const passed  = (secsLeft) => last.secs > secsLeft && secs <= secsLeft;
+  const chimes  = (left) => Math.floor((planned - left) / (cfg.every * 60));
+
+  let phrase = null;
+  if (cfg.left > 0 && passed(cfg.left * 60)) {
+    phrase = `${cfg.left} minute${cfg.left === 1 ? '' : 's'} left`;
+  } else if (cfg.halfway && passed(planned / 2)) {
+    phrase = 'Halfway there';
+  } else if (cfg.every > 0 && chimes(secs) > chimes(last.secs)) {
+    phrase = `${chimes(secs) * cfg.every} minutes done`;
+  }
+  if (phrase) {
+    playEventSound('cue', getSharedAudioGraph().analyser);
+    announce(phrase);
+  }
+}
+
+// ═══════════════════════════════════════════════════════════
+// INTERRUPTIONS (logged against the current focus session)
+// ═══════════════════════════════════════════════════════════
+
+let interruptKind = 'internal';
+
+function initInterruptions() {
+  const dialog = document.getElementById('interrupt-dialog');
+  const note   = document.getElementById('interrupt-note');
+  const close  = () => dialog.classList.add('hidden');
+
+  document.getElementById('btn-timer-interrupt').addEventListener('click', () => openInterruptDialog());
+
+  document.querySelectorAll('.interrupt-kind-btn').forEach((btn) => {
+    btn.addEventListener('click', () => {
+      interruptKind = btn.dataset.kind;
+      document.querySelectorAll('.interrupt-kind-btn').forEach((b) =>
+        b.classList.toggle('active', b === btn)
+      );
+    });
+  });
+
+  const save = () => {
+    if (canLogInterruption()) {
+      timer.logInterruption(interruptKind, note.value);
+      updateSessionMeta();
+      showToast(`${interruptKind === 'internal' ? 'Internal' : 'External'} interruption logged`);
+    }
+    close();
+  };
+  document.getElementById('btn-interrupt-save').addEventListener('click', save);
+  note.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') save();
+    if (e.key === 'Escape') close();
+  });
+  document.getElementById('btn-interrupt-close').addEventListener('click', close);
+  dialog.addEventListener('click', (e) => {
+    if (e.target === dialog) close();
+  });
+}
+
+/** Interruptions belong to a focus session that has been started. */
+function canLogInterruption() {
+  return timer.mode === 'focus' && !!timer.startedAt;
+}
+
+/**
+ * Ask what interrupted the current session.
+ * @param {number} [pausedMins]  set when prompted by a long pause
+ */
+function openInterruptDialog(pausedMins) {
+  if (!canLogInterruption()) {
+    showToast('Start a focus session to log interruptions');
+    return;
+  }
+  document.getElementById('interrupt-hint').textContent = pausedMins
+    ? `You paused for ${pausedMins} min — what pulled you away?`
+    : 'What pulled you away?';
+  const note = document.getElementById('interrupt-note');
+  note.value = '';
+  document.getElementById('interrupt-dialog').classList.remove('hidden');
+  note.focus();
+}
+
+// ═══════════════════════════════════════════════════════════
+// AWAY DETECTION (pause or flag timers while nobody is at the desk)
+// ═══════════════════════════════════════════════════════════
+
+// What was running when the user left: { since, pausedAt, pomo, countdownIds }
+let awayState = null;
+
+function initPresence() {
+  presence = new PresenceMonitor({
+    idleAfter: settings.idleAway * 60000,
+    onAway:    handleAway,
+    onReturn:  handleReturn,
+  });
+  presence.start();
+
+  document.querySelectorAll('.away-choice-btn').forEach((btn) => {
+    btn.addEventListener('click', () => resolveAway(btn.dataset.choice));
+  });
+}
+
+function handleAway(since) {
+  if (awayState) return; // still waiting on the last return prompt
+  const pomo         = timer.isRunning && timer.startedAt ? timer.startedAt : null;
+  const countdownIds = countdowns.running.map((cd) => cd.id);
+  if (!pomo && !countdownIds.length) return;
+
+  awayState = { since, pausedAt: null, pomo, countdownIds };
+  if (settings.idleAction === 'pause') {
+    awayState.pausedAt = Date.now();
+    if (pomo) {
+      timer.pause();
+      updateTimerControls();
+    }
+    countdownIds.forEach((id) => countdowns.pause(id));
+    renderCountdowns();
+  }
+}
+
+function handleReturn(since, now) {
+  if (!awayState) return;
+  const mins = Math.max(1, Math.round((now - since) / 60000));
+  document.getElementById('away-message').textContent = awayState.pausedAt
+    ? `You were away for about ${mins} min, so your timers were paused. What should happen to that time?`
+    : `You were away for about ${mins} min while your timers kept running. What should happen to that time?`;
+  document.getElementById('away-dialog').classList.remove('hidden');
+}
+
+/**
+ * Apply the user's answer to the away prompt.
+ * @param {'keep'|'subtract'|'discard'} choice
+ *   keep — count the away time (flagged as idle);
+ *   subtract — give back any time the timers ran while away;
+ *   discard — abandon the Pomodoro session and reset the countdowns
+ */
+function resolveAway(choice) {
+  document.getElementById('away-dialog').classList.add('hidden');
+  if (!awayState) return;
+  const { since, pausedAt, pomo, countdownIds } = awayState;
+  awayState = null;
+
+  const awaySecs = Math.round((Date.now() - since) / 1000);
+  // Time the timers kept running before they were paused (or all of it)
+  const ranSecs  = pausedAt ? Math.round((pausedAt - since) / 1000) : awaySecs;
+  const delta    = choice === 'keep' ? ranSecs - awaySecs : ranSecs;
+
+  // Only touch the session that was running when the user left
+  if (pomo && timer.startedAt === pomo) {
+    if (choice === 'discard') {
+      timer.reset();
+      updateSessionMeta();
+      hideBigClockPomo();
+    } else {
+      if (choice === 'keep') timer.markIdle(awaySecs);
+      if (!timer.isRunning) timer.start();
+      showBigClockPomo();
+      timer.adjust(delta);
+    }
+    updateTimerControls();
+  }
+
+  countdownIds.forEach((id) => {
+    const cd = countdowns.get(id);
+    if (!cd) return; // deleted meanwhile
+    if (choice === 'discard') {
+      countdowns.reset(id);
+    } else if (cd.running || cd.left > 0) {
+      countdowns.start(id); // no-op if it was only flagged
+      countdowns.adjust(id, delta);
+    }
+  });
+  renderCountdowns();
+}
+
+// ═══════════════════════════════════════════════════════════
+// SYSTEM NOTIFICATIONS (scheduled through the service worker)
+// ═══════════════════════════════════════════════════════════
+
+const POMODORO_NOTIFICATIONS = {
+  focus: {
+    title:   'Focus session complete',
+    body:    'Time for a break.',
+    actions: [{ action: 'start', title: 'Start break' }, { action: 'skip', title: 'Skip break' }],
+  },
+  short: {
+    title:   'Break over',
+    body:    'Back to work!',
+    actions: [{ action: 'start', title: 'Start focus' }],
+  },
+  long: {
+    title:   'Long break over',
+    body:    'Back to work!',
+    actions: [{ action: 'start', title: 'Start focus' }],
+  },
+};
+
+function initNotifications() {
+  notifier = new Notifier({ onAction: handleNotificationAction });
+  if (settings.notifications && notifier.permitted) notifier.register();
+}
+
+/**
+ * Keep the scheduled Pomodoro notification in step with the timer. One
+ * already shown for a session that ended stays up.
+ */
+function syncTimerNotification() {
+  if (!notifier || !settings.notifications) return;
+  if (timer.isRunning && timer.timeLeft > 0) {
+    notifier.schedule('pomodoro', timer.endsAt, {
+      ...POMODORO_NOTIFICATIONS[timer.mode],
+      data: { mode: timer.mode },
+    });
+  } else {
+    notifier.cancel('pomodoro');
+  }
+}
+
+/** A session just ended: notify from the page, in case it's in the background. */
+function showTimerNotification(mode) {
+  if (!notifier || !settings.notifications) return;
+  notifier.show('pomodoro', { ...POMODORO_NOTIFICATIONS[mode], data: { mode } });
+}
+
+/** Title and body for the notification when a countdown ends. */
+function countdownNotification(cd) {
+  return {
+    title: cd.label ? `${cd.label} — time's up` : 'Timer finished',
+    body:  `Your ${formatCountdown(cd.total)} countdown is up.`,
+  };
+}
+
+function syncCountdownNotifications() {
+  if (!notifier || !settings.notifications) return;
+  countdowns.items.forEach((cd) => {
+    if (cd.running) {
+      notifier.schedule(`countdown-${cd.id}`, cd.endsAt, countdownNotification(cd));
+    } else {
+      notifier.cancel(`countdown-${cd.id}`);
+    }
+  });
+}
+
+/**
+ * A notification action was clicked.
+ * @param {string} action  'start' | 'skip' | 'open' (the notification body)
+ * @param {{ id: string, mode?: string }} data
+ */
+function handleNotificationAction(action, data = {}) {
+  if (data.id !== 'pomodoro' || action === 'open') return;
+
+  // A throttled page may not have ended the session yet
+  if (timer.mode === data.mode && timer.isRunning && timer.endsAt <= Date.now()) timer.finish();
+  stopAlarm();
+
+  if (action === 'start' && !timer.isRunning) {
+    timer.start();
+    showBigClockPomo();
+    updateBigClockPomo(timer.timeLeft);
+  }
+  if (action === 'skip' && timer.mode !== 'focus') timer.setMode('focus');
+  updateTimerControls();
+}
+
+// ═══════════════════════════════════════════════════════════
+// STATS (session history dashboard)
+// ═══════════════════════════════════════════════════════════
+
+let statsRange = 7; // days shown in the bar chart
+
+function initStats() {
+  sessionHistory = new SessionHistory();
+
+  document.querySelectorAll('.stats-range-btn').forEach((btn) => {
+    btn.addEventListener('click', () => {
+      statsRange = parseInt(btn.dataset.days, 10);
+      document.querySelectorAll('.stats-range-btn').forEach((b) =>
+        b.classList.toggle('active', b === btn)
+      );
+      renderStats();
+    });
+  });
+
+  // Refresh whenever the panel is opened from the tools menu
+  document.querySelector('.tools-menu-item[data-panel="stats-panel"]')
+    ?.addEventListener('click', renderStats);
+
+  renderStats();
+}
+
+/** Persist a finished or abandoned Pomodoro session. */
+function logSession(session) {
+  const task = session.mode === 'focus' ? taskList.current : null;
+  sessionHistory.add({ ...session, source: currentSourceName(), task: task ? task.text : null })
+    .then(renderStats)
+    .catch(() => { /* IndexedDB unavailable */ });
+}
+
+/** Name of the stream or playlist currently selected. */
+function currentSourceName() {
+  if (musicSource === 'spotify') {
+    return `Spotify · ${document.getElementById('stream-name').textContent}`;
+  }
+  return streams[streamIndex].name;
+}
+
+async function renderStats() {
+  // Heatmap starts on the Sunday 52 weeks back so columns are whole weeks
+  const start = new Date();
+  start.setHours(0, 0, 0, 0);
+  start.setDate(start.getDate() - 364);
+  start.setDate(start.getDate() - start.getDay());
+
+  // Interruptions follow the bar chart's range
+  const rangeStart = new Date();
+  rangeStart.setHours(0, 0, 0, 0);
+  rangeStart.setDate(rangeStart.getDate() - (statsRange - 1));
+
+  let totals, interrupts;
+  try {
+    totals     = await sessionHistory.focusMinutesByDay(start.getTime());
+    interrupts = await sessionHistory.interruptionsBy(rangeStart.getTime());
+  } catch { return; /* IndexedDB unavailable */ }
+
+  document.getElementById('stats-today').textContent =
+    Math.round(totals.get(dayKey(new Date())) || 0);
+  document.getElementById('stats-streak').textContent = focusStreak(totals);
+  renderStatsBars(totals);
+  renderStatsInterruptions(interrupts);
+  renderStatsHeatmap(totals, start);
+}
+
+function renderStatsBars(totals) {
+  const el = document.getElementById('stats-bars');
+  el.classList.toggle('compact', statsRange > 7);
+
+  const days = [];
+  for (let i = statsRange - 1; i >= 0; i--) {
+    const d = new Date();
+    d.setDate(d.getDate() - i);
+    days.push(d);
+  }
+  renderBarChart(el, days.map((d) => {
+    const mins = Math.round(totals.get(dayKey(d)) || 0);
+    return {
+      value: mins,
+      title: `${d.toLocaleDateString([], { weekday: 'short', month: 'short', day: 'numeric' })} — ${mins} min`,
+      label: statsRange <= 7 ? d.toLocaleDateString([], { weekday: 'narrow' }) : null,
+    };
+  }));
+}
+
+function renderStatsInterruptions({ total, byWeekday, byHour }) {
+  document.getElementById('stats-interrupts-total').textContent =
+    `· ${total} in ${statsRange} days`;
+
+  // Jan 4 2026 was a Sunday, so day i of that week has weekday i
+  const weekday = (i) => new Date(2026, 0, 4 + i);
+  renderBarChart(document.getElementById('stats-interrupts-weekday'), byWeekday.map((n, i) => ({
+    value: n,
+    title: `${weekday(i).toLocaleDateString([], { weekday: 'long' })} — ${n} interruption${n === 1 ? '' : 's'}`,
+    label: weekday(i).toLocaleDateString([], { weekday: 'narrow' }),
+  })));
+  renderBarChart(document.getElementById('stats-interrupts-hour'), byHour.map((n, h) => ({
+    value: n,
+    title: `${String(h).padStart(2, '0')}:00–${String(h).padStart(2, '0')}:59 — ${n} interruption${n === 1 ? '' : 's'}`,
+    label: h % 6 === 0 ? String(h) : null,
+  })));
+}
+
+/**
+ * Fill a .stats-bars container with bars scaled to the largest value.
+ * @param {HTMLElement} el
+ * @param {{ value: number, title: string, label: string|null }[]} items
+ */
+function renderBarChart(el, items) {
+  el.innerHTML = '';
+  const max = Math.max(1, ...items.map((item) => item.value));
+
+  items.forEach((item) => {
+    const bar = document.createElement('div');
+    bar.className = 'stats-bar';
+    bar.title     = item.title;
+
+    const fill = document.createElement('span');
+    fill.className    = 'stats-bar-fill';
+    fill.style.height = `${(item.value / max) * 100}%`;
+    bar.appendChild(fill);
+
+    if (item.label !== null) {
+      const label = document.createElement('span');
+      label.className   = 'stats-bar-label';
+      label.textContent = item.label;
+      bar.appendChild(label);
+    }
+    el.appendChild(bar);
+  });
+}
+
+function renderStatsHeatmap(totals, start) {
+  const el = document.getElementById('stats-heatmap');
+  el.innerHTML = '';
+  const today = dayKey(new Date());
+  const d = new Date(start);
+
+  for (;;) {
+    const key  = dayKey(d);
+    const mins = Math.round(totals.get(key) || 0);
+    let level = 0;
+    if (mins >= 100)     level = 4;
+    else if (mins >= 50) level = 3;
+    else if (mins >= 25) level = 2;
+    else if (mins > 0)   level = 1;
+
+    const cell = document.createElement('span');
+    cell.className = `heat-cell heat-${level}`;
+    cell.title = `${d.toLocaleDateString([], { weekday: 'short', month: 'short', day: 'numeric' })} — ${mins} min`;
+    el.appendChild(cell);
+
+    if (key === today) break;
+    d.setDate(d.getDate() + 1);
+  }
+}
+
 // ═══════════════════════════════════════════════════════════
 // TASKS
 // ═══════════════════════════════════════════════════════════
 
+let taskFocusId   = null;  // task holding the list's tab stop
+let taskDragId    = null;  // task being dragged
+let taskAddParent = null;  // task the add row is adding steps to
+let taskDetailsId = null;  // task whose priority / due / tags editor is open
+
+const TODAY_VIEW = 'today';  // switcher entry for what's due in every list
+
 function initTasks() {
   taskList = new TaskList();
+  taskList.autoComplete = settings.autoCompleteTasks;
   renderTasks();
 
+  const input = document.getElementById('new-task-input');
   document.getElementById('btn-add-task').addEventListener('click', addTask);
-  document.getElementById('new-task-input').addEventListener('keydown', (e) => {
+  input.addEventListener('keydown', (e) => {
     if (e.key === 'Enter') addTask();
+    if (e.key === 'Escape' && taskAddParent !== null) setTaskAddParent(null);
+  });
+  input.addEventListener('input', renderQuickAddPreview);
+  initTaskLists();
+  document.getElementById('btn-task-parent-clear').addEventListener('click', () => {
+    setTaskAddParent(null);
+    input.focus();
+  });
+
+  // Filter and sort the list
+  document.querySelectorAll('.task-filter-btn').forEach((btn) => {
+    btn.addEventListener('click', () => {
+      settings.taskFilter = btn.dataset.filter;
+      saveSettings();
+      renderTasks();
+    });
+  });
+  document.getElementById('task-tag-filter').addEventListener('change', (e) => {
+    settings.taskTag = e.target.value;
+    saveSettings();
+    renderTasks();
+  });
+  document.getElementById('task-sort').addEventListener('change', (e) => {
+    settings.taskSort = e.target.value;
+    saveSettings();
+    renderTasks();
+  });
+}
+
+/** Wire the list switcher and the new / rename / colour / archive controls. */
+function initTaskLists() {
+  const switchTo = (id) => {
+    settings.taskListId = id;
+    saveSettings();
+    taskDetailsId = null;
+    setTaskAddParent(null);
+    renderTasks();
+  };
+  document.getElementById('task-list-select').addEventListener('change', (e) => switchTo(e.target.value));
+
+  document.getElementById('btn-task-list-add').addEventListener('click', () => {
+    const name = prompt('Name the new list:');
+    if (!name || !name.trim()) return;
+    switchTo(taskList.addList(name).id);
+  });
+
+  document.getElementById('btn-task-list-rename').addEventListener('click', () => {
+    const list = taskList.getList(settings.taskListId);
+    if (!list) return;
+    const name = prompt('Rename this list:', list.name);
+    if (!name || !name.trim()) return;
+    taskList.updateList(list.id, { name });
+    renderTasks();
+  });
+
+  document.getElementById('task-list-color').addEventListener('change', (e) => {
+    taskList.updateList(settings.taskListId, { color: e.target.value });
+    renderTasks();
+  });
+
+  // Archived lists keep their tasks and come back with Restore
+  document.getElementById('btn-task-list-archive').addEventListener('click', () => {
+    const list = taskList.getList(settings.taskListId);
+    if (!list || list.id === DEFAULT_LIST) return;
+    taskList.updateList(list.id, { archived: !list.archived });
+    if (list.archived) {
+      showToast(`Archived "${list.name}" — it's under Archived in the list menu`);
+      switchTo(DEFAULT_LIST);
+    } else {
+      showToast(`Restored "${list.name}"`);
+      renderTasks();
+    }
+  });
+}
+
+/** Options for taskList.view() matching the list switcher and the filter bar. */
+function taskViewOptions() {
+  const combined = settings.taskListId === TODAY_VIEW;
+  return {
+    list:   combined ? null : settings.taskListId,
+    filter: combined ? 'today' : settings.taskFilter,
+    tag:    settings.taskTag,
+    sort:   settings.taskSort,
+  };
+}
+
+/** Manual order only applies within one list, and only while unsorted. */
+function tasksReorderable() {
+  return settings.taskSort === 'manual' && settings.taskListId !== TODAY_VIEW;
+}
+
+function addTask() {
+  const input = document.getElementById('new-task-input');
+  const text  = input.value.trim();
+  if (!text) return;
+  if (taskAddParent !== null) {
+    // Stays in step mode, so several steps can go in one after another
+    taskList.add(text, taskAddParent);
+  } else {
+    const { text: title, ...fields } = parseQuickAdd(text);
+    if (!title) {
+      showToast('Add a name for the task as well');
+      return;
+    }
+    // From the Today view a task goes to the built-in list, due today;
+    // an archived list doesn't take new tasks, so they go there too
+    const home = taskList.getList(settings.taskListId);
+    if (settings.taskListId === TODAY_VIEW) {
+      fields.list = DEFAULT_LIST;
+      fields.due  = fields.due || toDateString(new Date());
+    } else if (home.archived) {
+      fields.list = DEFAULT_LIST;
+      showToast(`"${home.name}" is archived — added to "${taskList.getList(DEFAULT_LIST).name}" instead`);
+    } else {
+      fields.list = settings.taskListId;
+    }
+    taskList.add(title, null, fields);
+  }
+  input.value = '';
+  renderQuickAddPreview();
+  renderTasks();
+}
+
+/** Chips for the markers parsed out of the new task's text so far. */
+function renderQuickAddPreview() {
+  const box  = document.getElementById('task-add-preview');
+  const text = document.getElementById('new-task-input').value;
+  box.innerHTML = '';
+  if (taskAddParent !== null || !text.trim()) return;
+
+  const parsed = parseQuickAdd(text);
+  const chips  = [
+    ...parsed.tags.map((tag) => ['tag', `#${tag}`]),
+    parsed.priority && [`prio prio-${parsed.priority}`, `${parsed.priority.charAt(0).toUpperCase()}${parsed.priority.slice(1)} priority`],
+    parsed.estimate && ['estimate', `${parsed.estimate} pomodoro${parsed.estimate === 1 ? '' : 's'}`],
+    parsed.due && ['due', formatTaskDue(parsed)],
+    parsed.repeat && ['repeat', `↻ ${parsed.repeat}`],
+  ].filter(Boolean);
+  chips.forEach(([kind, label]) => {
+    const chip = document.createElement('span');
+    chip.className   = `quick-chip ${kind}`;
+    chip.textContent = label;
+    box.appendChild(chip);
+  });
+}
+
+/** Tick a task off (or back on); a repeating one moves on to its next date. */
+function toggleTask(task) {
+  if (taskList.toggle(task.id)) showToast(`"${task.text}" next due ${formatTaskDue(task)}`);
+  renderTasks();
+}
+
+/**
+ * Point the add row at a task, so what's typed becomes its steps
+ * (null for top-level tasks again).
+ * @param {number|null} id
+ */
+function setTaskAddParent(id) {
+  const parent = id === null ? null : taskList.items.find((t) => t.id === id);
+  taskAddParent = parent ? parent.id : null;
+  const chip  = document.getElementById('task-add-parent');
+  const input = document.getElementById('new-task-input');
+  chip.classList.toggle('hidden', !parent);
+  document.getElementById('task-add-parent-name').textContent = parent ? parent.text : '';
+  input.placeholder = parent ? 'Add a step…' : 'Add a task… #tag !high ~2 @fri ^weekly';
+  renderQuickAddPreview();
+}
+
+function renderTasks() {
+  const list = document.getElementById('task-list');
+  // Keep keyboard focus on the same task across the rebuild
+  const hadFocus = list.contains(document.activeElement);
+  list.innerHTML = '';
+  renderTaskLists();
+  renderTaskFilters();
+  list.classList.toggle('sorted', !tasksReorderable());
+
+  const combined = settings.taskListId === TODAY_VIEW;
+  const view     = taskViewOptions();
+  const shown    = taskList.view(view);
+  const { done, total, steps } = taskList.progress(view.list);
+  if (!shown.length && (total || combined)) {
+    const empty = document.createElement('p');
+    empty.className   = 'task-empty';
+    empty.textContent = combined ? 'Nothing due today in any list' : 'No tasks match this view';
+    list.appendChild(empty);
+  }
+  shown.forEach((task) => {
+    list.appendChild(renderTaskItem(task, null));
+    if (task.id === taskDetailsId) list.appendChild(renderTaskDetails(task));
+    if (task.open && task.subtasks?.length) {
+      const group = document.createElement('div');
+      group.className = 'task-subtasks';
+      group.setAttribute('role', 'group');
+      group.setAttribute('aria-label', `Steps of "${task.text}"`);
+      task.subtasks.forEach((sub) => group.appendChild(renderTaskItem(sub, task)));
+      list.appendChild(group);
+    }
+  });
+
+  // One tab stop for the list; arrow keys move between tasks
+  const items = [...list.querySelectorAll('.task-item')];
+  if (!items.some((el) => Number(el.dataset.id) === taskFocusId)) {
+    taskFocusId = items.length ? Number(items[0].dataset.id) : null;
+  }
+  items.forEach((el) => { el.tabIndex = Number(el.dataset.id) === taskFocusId ? 0 : -1; });
+  if (hadFocus) focusTask(taskFocusId);
+  if (taskAddParent !== null) setTaskAddParent(taskAddParent);
+
+  document.getElementById('tasks-progress').textContent =
+    combined ? `${shown.length} due today or overdue`
+      : total === 0 ? 'No tasks yet'
+        : steps.total > total ? `${done} of ${total} done · ${steps.done} of ${steps.total} steps`
+          : `${done} of ${total} done`;
+  updateBigClockPomoTask();
+}
+
+/**
+ * One row of the list: a task, or (with `parent`) one of its steps.
+ * Only top-level tasks get steps, pomodoros and the current-task target.
+ */
+function renderTaskItem(task, parent) {
+  const item = document.createElement('div');
+  item.className = `task-item${parent ? ' subtask' : ''}${task.done ? ' done' : ''}`;
+  item.dataset.id = task.id;
+  item.setAttribute('role', 'listitem');
+  item.addEventListener('focus', () => { taskFocusId = task.id; });
+  item.addEventListener('keydown', (e) => onTaskKey(e, task, parent));
+
+  // drag handle — Alt+↑/↓ does the same from the keyboard
+  const handle = document.createElement('span');
+  handle.className = 'task-drag';
+  handle.title     = 'Drag to reorder (or Alt+↑/↓)';
+  handle.innerHTML = '<svg class="icon icon-sm"><use href="#ic-grip"/></svg>';
+  bindTaskDrag(item, handle, task, parent);
+
+  // checkbox
+  const cb    = document.createElement('input');
+  cb.type     = 'checkbox';
+  cb.checked  = task.done;
+  cb.tabIndex = -1;
+  cb.setAttribute('aria-label', `Mark "${task.text}" as done`);
+  cb.addEventListener('change', () => toggleTask(task));
+
+  // text — double-click to edit
+  const span       = document.createElement('span');
+  span.className   = 'task-text';
+  span.textContent = task.text;
+  span.addEventListener('dblclick', () => editTask(item, task));
+
+  // delete button
+  const del = document.createElement('button');
+  del.className = 'task-del';
+  del.tabIndex  = -1;
+  del.setAttribute('aria-label', `Delete ${parent ? 'step' : 'task'} "${task.text}"`);
+  del.innerHTML = '<svg class="icon icon-sm"><use href="#ic-trash"/></svg>';
+  del.addEventListener('click', () => {
+    if (task.id === taskAddParent) setTaskAddParent(null);
+    taskList.remove(task.id);
+    renderTasks();
+  });
+
+  if (parent) {
+    item.append(handle, cb, span, del);
+    return item;
+  }
+
+  // priority, due date and tags
+  if (task.priority) item.classList.add(`prio-${task.priority}`);
+  const due = dueState(task);
+  if (due) item.classList.add(`due-${due}`);
+  const main = document.createElement('div');
+  main.className = 'task-main';
+  main.appendChild(span);
+  const showList = settings.taskListId === TODAY_VIEW;
+  if (task.due || task.tags.length || showList) {
+    const meta = document.createElement('div');
+    meta.className = 'task-meta';
+    if (showList) {
+      const home   = taskList.getList(task.list);
+      const listEl = document.createElement('span');
+      listEl.className   = 'task-list-name';
+      listEl.textContent = home.name;
+      listEl.style.setProperty('--list-color', home.color);
+      meta.appendChild(listEl);
+    }
+    if (task.due) {
+      const dueEl = document.createElement('span');
+      dueEl.className   = 'task-due';
+      dueEl.textContent = task.repeat ? `${formatTaskDue(task)} ↻ ${task.repeat}` : formatTaskDue(task);
+      if (due === 'overdue') dueEl.title = 'Overdue';
+      meta.appendChild(dueEl);
+    }
+    task.tags.forEach((tag) => {
+      const tagBtn = document.createElement('button');
+      tagBtn.className   = 'task-tag';
+      tagBtn.tabIndex    = -1;
+      tagBtn.textContent = `#${tag}`;
+      tagBtn.title       = `Show only #${tag}`;
+      tagBtn.addEventListener('click', () => {
+        settings.taskTag = tag;
+        saveSettings();
+        renderTasks();
+      });
+      meta.appendChild(tagBtn);
+    });
+    main.appendChild(meta);
+  }
+
+  // expand / collapse steps, with a done count while there are any
+  const { done, total } = taskList.subtaskProgress(task);
+  const expander = document.createElement('button');
+  expander.className = 'task-expander';
+  expander.tabIndex  = -1;
+  if (total) {
+    item.setAttribute('aria-expanded', String(!!task.open));
+    expander.setAttribute('aria-label', `${task.open ? 'Hide' : 'Show'} steps of "${task.text}"`);
+    expander.innerHTML = '<svg class="icon icon-sm"><use href="#ic-chevron"/></svg>';
+    expander.addEventListener('click', () => { taskList.setOpen(task.id, !task.open); renderTasks(); });
+  } else {
+    expander.disabled = true;
+    expander.setAttribute('aria-hidden', 'true');
+  }
+
+  const count = document.createElement('span');
+  count.className   = 'task-steps';
+  count.textContent = total ? `${done}/${total}` : '';
+  if (total && done === total) count.classList.add('complete');
+
+  const addStep = document.createElement('button');
+  addStep.className = 'task-add-step';
+  addStep.tabIndex  = -1;
+  addStep.setAttribute('aria-label', `Add a step to "${task.text}"`);
+  addStep.title     = 'Add a step (+)';
+  addStep.innerHTML = '<svg class="icon icon-sm"><use href="#ic-plus"/></svg>';
+  addStep.addEventListener('click', () => startTaskStep(task));
+
+  // estimated vs actual pomodoros — click raises the estimate, right-click lowers it
+  const pomos = document.createElement('button');
+  pomos.className = 'task-pomos';
+  pomos.tabIndex  = -1;
+  renderTaskPomos(pomos, task);
+  pomos.addEventListener('click', () => {
+    taskList.setEstimate(task.id, (task.estimate || 0) + 1);
+    renderTasks();
+  });
+  pomos.addEventListener('contextmenu', (e) => {
+    e.preventDefault();
+    taskList.setEstimate(task.id, (task.estimate || 0) - 1);
+    renderTasks();
+  });
+
+  // make current — completed focus sessions are credited to this task
+  const isCurrent = task.id === taskList.currentId;
+  if (isCurrent) item.classList.add('current');
+  const focusBtn = document.createElement('button');
+  focusBtn.className = 'task-focus';
+  focusBtn.tabIndex  = -1;
+  focusBtn.setAttribute('aria-pressed', String(isCurrent));
+  focusBtn.setAttribute('aria-label', isCurrent ? `Stop working on "${task.text}"` : `Work on "${task.text}"`);
+  focusBtn.title = isCurrent ? 'Current task' : 'Make current task';
+  focusBtn.innerHTML = '<svg class="icon icon-sm"><use href="#ic-target"/></svg>';
+  focusBtn.addEventListener('click', () => {
+    taskList.setCurrent(isCurrent ? null : task.id);
+    renderTasks();
+  });
+
+  const more = document.createElement('button');
+  more.className = 'task-more';
+  more.tabIndex  = -1;
+  more.setAttribute('aria-label', `Priority, due date and tags for "${task.text}"`);
+  more.setAttribute('aria-expanded', String(task.id === taskDetailsId));
+  more.title     = 'Priority, due date, tags';
+  more.innerHTML = '<svg class="icon icon-sm"><use href="#ic-more-vert"/></svg>';
+  more.addEventListener('click', () => toggleTaskDetails(task.id));
+
+  item.append(handle, expander, cb, main, count, addStep, pomos, focusBtn, more, del);
+  return item;
+}
+
+function toggleTaskDetails(id) {
+  taskDetailsId = taskDetailsId === id ? null : id;
+  renderTasks();
+}
+
+/** Inline editor for a task's priority, due date (and time) and tags. */
+function renderTaskDetails(task) {
+  const box = document.createElement('div');
+  box.className = 'task-details';
+  // Escape closes it and goes back to the task
+  box.addEventListener('keydown', (e) => {
+    if (e.key !== 'Escape') return;
+    e.stopPropagation();
+    toggleTaskDetails(task.id);
+    focusTask(task.id);
+  });
+  box.innerHTML = `
+    <label>Priority <select class="setting-select task-priority"></select></label>
+    <label>Due <input type="date" class="task-due-date"><input type="time" class="task-due-time"></label>
+    <label>Repeat <select class="setting-select task-repeat"></select></label>
+    <label>List <select class="setting-select task-list-move"></select></label>
+    <label>Tags <input type="text" class="task-tags" placeholder="exam, reading" maxlength="120"></label>`;
+
+  const prio = box.querySelector('.task-priority');
+  [['', 'None'], ...PRIORITIES.map((p) => [p, p.charAt(0).toUpperCase() + p.slice(1)])].forEach(([value, name]) => {
+    const opt = document.createElement('option');
+    opt.value       = value;
+    opt.textContent = name;
+    prio.appendChild(opt);
+  });
+  prio.value = task.priority || '';
+  prio.addEventListener('change', () => { taskList.setPriority(task.id, prio.value || null); renderTasks(); });
+
+  // The time is optional; without a date there's no due date at all
+  const [date, time] = (task.due || '').split('T');
+  const dateIn = box.querySelector('.task-due-date');
+  const timeIn = box.querySelector('.task-due-time');
+  dateIn.value = date || '';
+  timeIn.value = time || '';
+  const saveDue = () => {
+    taskList.setDue(task.id, dateIn.value ? `${dateIn.value}${timeIn.value ? `T${timeIn.value}` : ''}` : null);
+    renderTasks();
+  };
+  dateIn.addEventListener('change', saveDue);
+  timeIn.addEventListener('change', saveDue);
+
+  const repeat = box.querySelector('.task-repeat');
+  ['', ...REPEATS].forEach((value) => {
+    const opt = document.createElement('option');
+    opt.value       = value;
+    opt.textContent = value ? value.charAt(0).toUpperCase() + value.slice(1) : 'Never';
+    repeat.appendChild(opt);
+  });
+  repeat.value = task.repeat || '';
+  repeat.addEventListener('change', () => { taskList.setRepeat(task.id, repeat.value || null); renderTasks(); });
+
+  // Archived lists can't take new tasks, but a task can stay in one
+  const listSel = box.querySelector('.task-list-move');
+  taskList.lists.filter((l) => !l.archived || l.id === task.list).forEach((l) => {
+    const opt = document.createElement('option');
+    opt.value       = l.id;
+    opt.textContent = l.name;
+    listSel.appendChild(opt);
+  });
+  listSel.value = task.list;
+  listSel.addEventListener('change', () => {
+    taskList.moveToList(task.id, listSel.value);
+    if (settings.taskListId !== TODAY_VIEW) showToast(`Moved to "${taskList.getList(listSel.value).name}"`);
+    renderTasks();
+  });
+
+  const tagsIn = box.querySelector('.task-tags');
+  tagsIn.value = task.tags.join(', ');
+  tagsIn.addEventListener('change', () => {
+    taskList.setTags(task.id, tagsIn.value.split(/[\s,]+/));
+    renderTasks();
+  });
+  tagsIn.addEventListener('keydown', (e) => { if (e.key === 'Enter') tagsIn.blur(); });
+  return box;
+}
+
+/** e.g. "Today 14:00", "Tomorrow", "Fri 7 Nov" */
+function formatTaskDue(task) {
+  const due   = dueDate(task);
+  const day   = new Date();
+  const label = (offset) => { const d = new Date(day); d.setDate(d.getDate() + offset); return d.toDateString(); };
+  const name  = { [label(-1)]: 'Yesterday', [label(0)]: 'Today', [label(1)]: 'Tomorrow' }[due.toDateString()] ||
+    due.toLocaleDateString([], { weekday: 'short', day: 'numeric', month: 'short' });
+  if (!task.due.includes('T')) return name;
+  return `${name} ${due.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit', hour12: uses12HourClock() })}`;
+}
+
+/** Fill the list switcher, and match its buttons to the list on show. */
+function renderTaskLists() {
+  if (settings.taskListId !== TODAY_VIEW && !taskList.getList(settings.taskListId)) {
+    settings.taskListId = DEFAULT_LIST;
+  }
+  const select = document.getElementById('task-list-select');
+  select.innerHTML = '';
+  const option = (value, name) => {
+    const opt = document.createElement('option');
+    opt.value       = value;
+    opt.textContent = name;
+    return opt;
+  };
+  select.appendChild(option(TODAY_VIEW, 'Today — all lists'));
+  taskList.lists.filter((l) => !l.archived).forEach((l) => select.appendChild(option(l.id, l.name)));
+  const archived = taskList.lists.filter((l) => l.archived);
+  if (archived.length) {
+    const group = document.createElement('optgroup');
+    group.label = 'Archived';
+    archived.forEach((l) => group.appendChild(option(l.id, l.name)));
+    select.appendChild(group);
+  }
+  select.value = settings.taskListId;
+
+  const list    = taskList.getList(settings.taskListId);
+  const color   = document.getElementById('task-list-color');
+  const rename  = document.getElementById('btn-task-list-rename');
+  const archive = document.getElementById('btn-task-list-archive');
+  color.disabled   = !list;
+  color.value      = list ? list.color : '#888888';
+  rename.disabled  = !list;
+  archive.disabled = !list || list.id === DEFAULT_LIST;
+  const label = list?.archived ? 'Restore this list' : 'Archive this list';
+  archive.title = label;
+  archive.setAttribute('aria-label', label);
+  archive.classList.toggle('active', !!list?.archived);
+}
+
+/** Sync the filter bar with the settings, and the tag list with the tags in use. */
+function renderTaskFilters() {
+  const combined = settings.taskListId === TODAY_VIEW;
+  const tags = taskList.tags(combined ? null : settings.taskListId);
+  if (settings.taskTag && !tags.includes(settings.taskTag)) settings.taskTag = '';
+  // The Today view is a filter of its own
+  document.querySelectorAll('.task-filter-btn').forEach((btn) => {
+    btn.classList.toggle('active', btn.dataset.filter === settings.taskFilter);
+    btn.disabled = combined;
+  });
+
+  const tagSel = document.getElementById('task-tag-filter');
+  tagSel.innerHTML = '';
+  ['', ...tags].forEach((tag) => {
+    const opt = document.createElement('option');
+    opt.value       = tag;
+    opt.textContent = tag ? `#${tag}` : 'All tags';
+    tagSel.appendChild(opt);
   });
+  tagSel.value    = settings.taskTag;
+  tagSel.disabled = !tags.length;
+  document.getElementById('task-sort').value = settings.taskSort;
+}
+
+/** Open a task's steps and send the add row's input to them. */
+function startTaskStep(task) {
+  if (!task.open) taskList.setOpen(task.id, true);
+  setTaskAddParent(task.id);
+  renderTasks();
+  document.getElementById('new-task-input').focus();
+}
+
+function focusTask(id) {
+  const item = document.querySelector(`#task-list .task-item[data-id="${id}"]`);
+  if (!item) return;
+  document.querySelectorAll('#task-list .task-item').forEach((el) => { el.tabIndex = el === item ? 0 : -1; });
+  taskFocusId = id;
+  item.focus();
+}
+
+/**
+ * Keys on a focused task: ↑/↓ (Home/End) move between tasks, →/← open
+ * and close a task's steps, Alt+↑/↓ moves the task itself, Enter or F2
+ * edits, Space or X toggles it, + adds a step and Delete removes it.
+ * On a task, C makes it current, ] / [ raise and lower its estimate and
+ * . opens its details.
+ */
+function onTaskKey(e, task, parent) {
+  if (e.target !== e.currentTarget || e.ctrlKey || e.metaKey) return;
+  const visible  = [...document.querySelectorAll('#task-list .task-item')].map((el) => Number(el.dataset.id));
+  const at       = visible.indexOf(task.id);
+  const hasSteps = !parent && task.subtasks?.length > 0;
+
+  switch (e.key) {
+    case 'ArrowUp':
+    case 'ArrowDown': {
+      const step = e.key === 'ArrowUp' ? -1 : 1;
+      if (e.altKey) {
+        moveTaskBy(task, parent, step);
+      } else if (visible[at + step] !== undefined) {
+        focusTask(visible[at + step]);
+      }
+      break;
+    }
+    case 'ArrowRight':
+      if (hasSteps && !task.open) {
+        taskList.setOpen(task.id, true);
+        renderTasks();
+      } else if (hasSteps) {
+        focusTask(task.subtasks[0].id);
+      }
+      break;
+    case 'ArrowLeft':
+      if (parent) {
+        focusTask(parent.id);
+      } else if (hasSteps && task.open) {
+        taskList.setOpen(task.id, false);
+        renderTasks();
+      }
+      break;
+    case 'Home':
+      focusTask(visible[0]);
+      break;
+    case 'End':
+      focusTask(visible[visible.length - 1]);
+      break;
+    case 'Enter':
+    case 'F2':
+      editTask(e.currentTarget, task);
+      break;
+    case ' ':
+    case 'x':
+    case 'X':
+      toggleTask(task);
+      break;
+    case '+':
+      startTaskStep(parent || task);
+      break;
+    case 'c':
+    case 'C':
+      if (parent) return;
+      taskList.setCurrent(task.id === taskList.currentId ? null : task.id);
+      renderTasks();
+      break;
+    case '.':
+      if (parent) return;
+      toggleTaskDetails(task.id);
+      if (taskDetailsId === task.id) document.querySelector('#task-list .task-details select')?.focus();
+      break;
+    case ']':
+    case '[':
+      if (parent) return;
+      taskList.setEstimate(task.id, (task.estimate || 0) + (e.key === ']' ? 1 : -1));
+      renderTasks();
+      break;
+    case 'Delete':
+    case 'Backspace': {
+      // Land on the next visible row past this one (and its steps), else the one before
+      const next = visible.slice(at + 1).find((id) => !task.subtasks?.some((s) => s.id === id));
+      taskFocusId = next ?? visible[at - 1] ?? null;
+      if (task.id === taskAddParent) setTaskAddParent(null);
+      taskList.remove(task.id);
+      renderTasks();
+      if (taskFocusId === null) document.getElementById('new-task-input').focus();
+      break;
+    }
+    default:
+      return;
+  }
+  // Keep handled keys away from the global shortcuts (Space plays music)
+  e.preventDefault();
+  e.stopPropagation();
 }
 
-function addTask() {
-  const input = document.getElementById('new-task-input');
-  const text  = input.value.trim();
-  if (!text) return;
-  taskList.add(text);
-  input.value = '';
+/**
+ * Swap a task with the next one shown above or below it — among its
+ * steps, or in the filtered list. Sorted views, and the Today view
+ * across lists, have no order to change.
+ */
+function moveTaskBy(task, parent, step) {
+  if (parent) {
+    taskList.move(task.id, parent.subtasks.indexOf(task) + step);
+  } else {
+    if (!tasksReorderable()) return;
+    const shown = taskList.view({ ...taskViewOptions(), sort: 'manual' });
+    const other = shown[shown.indexOf(task) + step];
+    if (!other) return;
+    taskList.move(task.id, taskList.items.indexOf(other));
+  }
   renderTasks();
 }
 
-function renderTasks() {
-  const list = document.getElementById('task-list');
-  list.innerHTML = '';
-
-  taskList.items.forEach((task) => {
-    const item = document.createElement('div');
-    item.className = `task-item${task.done ? ' done' : ''}`;
-    item.setAttribute('role', 'listitem');
-
-    // checkbox
-    const cb    = document.createElement('input');
-    cb.type     = 'checkbox';
-    cb.checked  = task.done;
-    cb.setAttribute('aria-label', `Mark "${task.text}" as done`);
-    cb.addEventListener('change', () => { taskList.toggle(task.id); renderTasks(); });
-
-    // text
-    const span       = document.createElement('span');
-    span.className   = 'task-text';
-    span.textContent = task.text;
+/** Swap a task's text for an input: Enter or leaving it saves, Escape cancels. */
+function editTask(item, task) {
+  const span = item.querySelector('.task-text');
+  if (!span) return;
+  const input = document.createElement('input');
+  input.type      = 'text';
+  input.className = 'task-edit';
+  input.value     = task.text;
+  input.maxLength = 120;
+  input.setAttribute('aria-label', 'Edit task');
+  span.replaceWith(input);
+  input.focus();
+  input.select();
+
+  // Back to the row after Enter or Escape; clicking away leaves focus where it went
+  let finished = false;
+  const finish = (save, refocus) => {
+    if (finished) return;
+    finished = true;
+    if (save) taskList.rename(task.id, input.value);
+    renderTasks();
+    if (refocus) focusTask(task.id);
+  };
+  input.addEventListener('keydown', (e) => {
+    e.stopPropagation();
+    if (e.key === 'Enter')  finish(true, true);
+    if (e.key === 'Escape') finish(false, true);
+  });
+  input.addEventListener('blur', () => finish(true, false));
+}
 
-    // delete button
-    const del = document.createElement('button');
-    del.className = 'task-del';
-    del.setAttribute('aria-label', `Delete task "${task.text}"`);
-    del.innerHTML = '<svg class="icon icon-sm"><use href="#ic-trash"/></svg>';
-    del.addEventListener('click', () => { taskList.remove(task.id); renderTasks(); });
+/**
+ * Drag a task by its handle and drop it above or below another. Steps
+ * only move among the steps of the same task.
+ */
+function bindTaskDrag(item, handle, task, parent) {
+  const siblings = () => (parent ? parent.subtasks : taskList.items);
+  handle.draggable = true;
+  handle.addEventListener('dragstart', (e) => {
+    taskDragId = task.id;
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', task.text);
+    e.dataTransfer.setDragImage(item, 12, 12);
+    item.classList.add('dragging');
+  });
+  handle.addEventListener('dragend', () => {
+    taskDragId = null;
+    document.querySelectorAll('#task-list .task-item').forEach((el) =>
+      el.classList.remove('dragging', 'drop-before', 'drop-after'));
+  });
 
-    item.append(cb, span, del);
-    list.appendChild(item);
+  const accepts = () => taskDragId !== null && taskDragId !== task.id &&
+    (parent || tasksReorderable()) && siblings().some((t) => t.id === taskDragId);
+  item.addEventListener('dragover', (e) => {
+    if (!accepts()) return;
+    e.preventDefault();
+    const rect  = item.getBoundingClientRect();
+    const after = e.clientY > rect.top + rect.height / 2;
+    item.classList.toggle('drop-before', !after);
+    item.classList.toggle('drop-after', after);
   });
+  item.addEventListener('dragleave', () => item.classList.remove('drop-before', 'drop-after'));
+  item.addEventListener('drop', (e) => {
+    e.preventDefault();
+    if (!accepts()) return;
+    const list = siblings();
+    const from = list.findIndex((t) => t.id === taskDragId);
+    let to = list.indexOf(task);
+    if (item.classList.contains('drop-after')) to += 1;
+    if (from < to) to -= 1;
+    taskList.move(taskDragId, to);
+    renderTasks();
+  });
+}
 
-  const { done, total } = taskList.progress;
-  document.getElementById('tasks-progress').textContent =
-    total === 0 ? 'No tasks yet' : `${done} of ${total} done`;
+/** Fill a tally button with tomato icons: done, still estimated, and over estimate. */
+function renderTaskPomos(el, task) {
+  const done     = task.pomodoros || 0;
+  const estimate = task.estimate || 0;
+  let html = '';
+  for (let i = 0; i < Math.max(done, estimate); i++) {
+    const cls = i >= estimate ? 'pomo-over' : i < done ? 'pomo-done' : '';
+    html += `<svg class="icon ${cls}"><use href="#ic-tomato"/></svg>`;
+  }
+  el.innerHTML = html;
+  el.title = `${done} of ${estimate || '?'} pomodoros — click to raise the estimate, right-click to lower it`;
+  el.setAttribute('aria-label', `${done} of ${estimate} estimated pomodoros for "${task.text}"`);
 }
 
 // ═══════════════════════════════════════════════════════════
@@ -1182,6 +2796,17 @@ function initStopwatch() {
   const resetBtn = document.getElementById('btn-stopwatch-reset');
   const lapBtn = document.getElementById('btn-stopwatch-lap');
 
+  function run() {
+    swRunning = true;
+    startBtn.textContent = 'Pause';
+    lapBtn.disabled = false;
+    clearInterval(swInterval);
+    swInterval = setInterval(() => {
+      const total = swElapsed + (Date.now() - swStart);
+      display.textContent = formatMsPrecise(total);
+    }, 50);
+  }
+
   startBtn.addEventListener('click', () => {
     if (swRunning) {
       // Pause
@@ -1190,17 +2815,13 @@ function initStopwatch() {
       swRunning = false;
       startBtn.textContent = 'Start';
       lapBtn.disabled = true;
+      display.textContent = formatMsPrecise(swElapsed);
     } else {
       // Start
       swStart = Date.now();
-      swRunning = true;
-      startBtn.textContent = 'Pause';
-      lapBtn.disabled = false;
-      swInterval = setInterval(() => {
-        const total = swElapsed + (Date.now() - swStart);
-        display.textContent = formatMs(total);
-      }, 50);
+      run();
     }
+    saveStopwatch();
   });
 
   resetBtn.addEventListener('click', () => {
@@ -1208,24 +2829,96 @@ function initStopwatch() {
     swRunning = false;
     swElapsed = 0;
     swLaps = [];
-    display.textContent = '00:00:00';
+    display.textContent = formatMsPrecise(0);
     startBtn.textContent = 'Start';
     lapBtn.disabled = true;
-    document.getElementById('stopwatch-laps').innerHTML = '';
+    renderLaps();
+    saveStopwatch();
   });
 
   lapBtn.addEventListener('click', () => {
     if (!swRunning) return;
-    const total = swElapsed + (Date.now() - swStart);
-    swLaps.push(total);
-    const lapsEl = document.getElementById('stopwatch-laps');
-    const lapItem = document.createElement('div');
-    lapItem.className = 'lap-item';
-    lapItem.innerHTML = `<span>Lap ${swLaps.length}</span><span>${formatMs(total)}</span>`;
-    lapsEl.prepend(lapItem);
+    swLaps.push(swElapsed + (Date.now() - swStart));
+    renderLaps();
+    saveStopwatch();
+  });
+
+  document.getElementById('btn-stopwatch-export').addEventListener('click', exportLaps);
+
+  // Restore state from before a reload — swStart is a wall-clock
+  // timestamp, so a running stopwatch keeps counting across it
+  try {
+    const saved = JSON.parse(localStorage.getItem('focusfi-stopwatch'));
+    if (saved) {
+      swElapsed = saved.elapsed || 0;
+      swStart   = saved.start || 0;
+      swLaps    = Array.isArray(saved.laps) ? saved.laps : [];
+      display.textContent = formatMsPrecise(swElapsed);
+      if (saved.running) run();
+    }
+  } catch { /* ignore */ }
+  renderLaps();
+}
+
+function saveStopwatch() {
+  localStorage.setItem('focusfi-stopwatch', JSON.stringify({
+    running: swRunning,
+    elapsed: swElapsed,
+    start:   swStart,
+    laps:    swLaps,
+  }));
+}
+
+/** Laps as { n, split, total } in ms — swLaps only keeps cumulative times. */
+function lapSplits() {
+  return swLaps.map((total, i) => ({ n: i + 1, split: total - (swLaps[i - 1] || 0), total }));
+}
+
+function renderLaps() {
+  const lapsEl = document.getElementById('stopwatch-laps');
+  const laps = lapSplits();
+  lapsEl.innerHTML = '';
+  document.getElementById('btn-stopwatch-export').disabled = !laps.length;
+  if (!laps.length) return;
+
+  // Only worth marking once there's something to compare
+  const splits = laps.map((l) => l.split);
+  const fastest = laps.length > 1 ? Math.min(...splits) : null;
+  const slowest = laps.length > 1 ? Math.max(...splits) : null;
+
+  const header = document.createElement('div');
+  header.className = 'lap-item lap-header';
+  header.innerHTML = '<span>Lap</span><span>Split</span><span>Total</span>';
+  lapsEl.appendChild(header);
+
+  // Newest first
+  laps.slice().reverse().forEach((lap) => {
+    const item = document.createElement('div');
+    item.className = 'lap-item';
+    if (lap.split === fastest) item.classList.add('fastest');
+    else if (lap.split === slowest) item.classList.add('slowest');
+    item.innerHTML = `<span>Lap ${lap.n}</span><span>${formatMsPrecise(lap.split)}</span><span>${formatMsPrecise(lap.total)}</span>`;
+    lapsEl.appendChild(item);
   });
 }
 
+function exportLaps() {
+  const rows = [['Lap', 'Split', 'Total', 'Split (ms)', 'Total (ms)']];
+  lapSplits().forEach((l) =>
+    rows.push([l.n, formatMsPrecise(l.split), formatMsPrecise(l.total), l.split, l.total])
+  );
+  const csv  = rows.map((r) => r.join(',')).join('\r\n');
+  const blob = new Blob([csv], { type: 'text/csv' });
+  const url  = URL.createObjectURL(blob);
+  const a    = document.createElement('a');
+  a.href     = url;
+  a.download = `focusfi-laps-${new Date().toISOString().slice(0, 10)}.csv`;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
 function formatMs(ms) {
   const totalSecs = Math.floor(ms / 1000);
   const h = Math.floor(totalSecs / 3600);
@@ -1234,126 +2927,572 @@ function formatMs(ms) {
   return `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}`;
 }
 
+/** MM:SS.hh, with hours in front once there are any (H:MM:SS.hh). */
+function formatMsPrecise(ms) {
+  const hundredths = Math.floor(ms / 10);
+  const h = Math.floor(hundredths / 360000);
+  const m = Math.floor((hundredths % 360000) / 6000);
+  const s = Math.floor((hundredths % 6000) / 100);
+  const cs = hundredths % 100;
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${h ? `${h}:` : ''}${pad(m)}:${pad(s)}.${pad(cs)}`;
+}
+
 // ═══════════════════════════════════════════════════════════
 // COUNTDOWN TIMER
 // ═══════════════════════════════════════════════════════════
 
 function initCountdown() {
-  const display = document.getElementById('countdown-time');
-  const startBtn = document.getElementById('btn-countdown-start');
-  const resetBtn = document.getElementById('btn-countdown-reset');
-  const minInput = document.getElementById('inp-countdown-min');
-  const secInput = document.getElementById('inp-countdown-sec');
+  countdowns = new CountdownList({
+    onTick:   updateCountdownItem,
+    onEnd:    (cd) => {
+      renderCountdowns();
+      const spoken = announce(cd.label ? `Countdown ${cd.label} finished` : 'Countdown finished');
+      startAlarm(cd.label ? `${cd.label} — time's up!` : 'Timer finished!', 'countdownEnd', spoken);
+      if (notifier && settings.notifications) notifier.show(`countdown-${cd.id}`, countdownNotification(cd));
+    },
+    onChange: syncCountdownNotifications,
+  });
 
-  function readInputs() {
-    const m = Math.max(0, parseInt(minInput.value, 10) || 0);
-    const s = Math.max(0, Math.min(59, parseInt(secInput.value, 10) || 0));
-    return m * 60 + s;
-  }
+  const input = document.getElementById('inp-countdown');
+  document.getElementById('btn-countdown-add').addEventListener('click', addCountdown);
+  input.addEventListener('input', updateCountdownPreview);
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') addCountdown();
+  });
+
+  // Resume countdowns left running before a reload
+  renderCountdowns();
+  countdowns.restore();
+}
+
+function addCountdown() {
+  const input  = document.getElementById('inp-countdown');
+  const parsed = parseCountdown(input.value, { use12: uses12HourClock() });
+  if (!parsed) return;
+  const cd = countdowns.add(parsed.label, parsed.seconds);
+  countdowns.start(cd.id);
+  input.value = '';
+  updateCountdownPreview();
+  renderCountdowns();
+}
 
-  function updateDisplay() {
-    const m = Math.floor(cdLeft / 60);
-    const s = cdLeft % 60;
-    display.textContent = `${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}`;
+/** Show when the typed countdown would end, or how to write one. */
+function updateCountdownPreview() {
+  const text    = document.getElementById('inp-countdown').value;
+  const parsed  = text.trim() ? parseCountdown(text, { use12: uses12HourClock() }) : null;
+  const preview = document.getElementById('countdown-preview');
+  preview.classList.toggle('invalid', !parsed);
+  document.getElementById('btn-countdown-add').disabled = !parsed;
+  if (parsed) {
+    const name = parsed.label ? `${parsed.label} · ` : '';
+    preview.textContent = `${name}${formatCountdown(parsed.seconds)} — ends at ${formatClockTime(new Date(Date.now() + parsed.seconds * 1000))}`;
+  } else {
+    preview.textContent = text.trim()
+      ? 'Try 25m, 1h 30m, 90s or until 14:30'
+      : 'Type a duration or a time to count down to';
   }
+}
 
-  startBtn.addEventListener('click', () => {
-    if (cdRunning) {
-      // Pause
-      clearInterval(cdInterval);
-      cdRunning = false;
-      startBtn.textContent = 'Start';
-    } else {
-      // Start
-      if (cdLeft <= 0) {
-        cdTotal = readInputs();
-        cdLeft = cdTotal;
-      }
-      if (cdLeft <= 0) return;
-      cdRunning = true;
-      startBtn.textContent = 'Pause';
-      cdInterval = setInterval(() => {
-        cdLeft--;
-        updateDisplay();
-        if (cdLeft <= 0) {
-          clearInterval(cdInterval);
-          cdRunning = false;
-          startBtn.textContent = 'Start';
-          startAlarm('Timer finished!');
-        }
-      }, 1000);
+function renderCountdowns() {
+  const list = document.getElementById('countdown-list');
+  list.innerHTML = '';
+
+  countdowns.items.forEach((cd) => {
+    const name = cd.label || 'Timer';
+    const item = document.createElement('div');
+    item.className  = 'countdown-item';
+    item.dataset.id = cd.id;
+    item.setAttribute('role', 'listitem');
+
+    const info = document.createElement('div');
+    info.className = 'countdown-info';
+    const label = document.createElement('span');
+    label.className = 'countdown-label';
+    const time = document.createElement('span');
+    time.className = 'countdown-time';
+    info.append(label, time);
+
+    // start / pause
+    const toggle = document.createElement('button');
+    toggle.className = 'countdown-btn countdown-toggle';
+    toggle.addEventListener('click', () => {
+      if (cd.running) countdowns.pause(cd.id); else countdowns.start(cd.id);
+      updateCountdownItem(cd);
+    });
+
+    const reset = document.createElement('button');
+    reset.className = 'countdown-btn';
+    reset.setAttribute('aria-label', `Reset "${name}"`);
+    reset.title = 'Reset';
+    reset.innerHTML = '<svg class="icon icon-sm"><use href="#ic-rotate"/></svg>';
+    reset.addEventListener('click', () => { countdowns.reset(cd.id); updateCountdownItem(cd); });
+
+    const del = document.createElement('button');
+    del.className = 'countdown-btn countdown-del';
+    del.setAttribute('aria-label', `Delete "${name}"`);
+    del.innerHTML = '<svg class="icon icon-sm"><use href="#ic-trash"/></svg>';
+    del.addEventListener('click', () => {
+      if (notifier) notifier.cancel(`countdown-${cd.id}`);
+      countdowns.remove(cd.id);
+      renderCountdowns();
+    });
+
+    item.append(info, toggle, reset, del);
+    list.appendChild(item);
+    updateCountdownItem(cd);
+  });
+}
+
+/** Refresh one countdown row in place (called every second while it runs). */
+function updateCountdownItem(cd) {
+  const item = document.querySelector(`.countdown-item[data-id="${cd.id}"]`);
+  if (!item) return;
+  item.classList.toggle('running', cd.running);
+  item.classList.toggle('done', cd.left <= 0);
+
+  const name = cd.label || 'Timer';
+  item.querySelector('.countdown-time').textContent  = formatCountdown(cd.left);
+  item.querySelector('.countdown-label').textContent = cd.running
+    ? `${name} · ends at ${formatClockTime(new Date(cd.endsAt))}`
+    : name;
+
+  const toggle = item.querySelector('.countdown-toggle');
+  toggle.innerHTML = `<svg class="icon icon-sm"><use href="${cd.running ? '#ic-pause' : '#ic-play'}"/></svg>`;
+  toggle.setAttribute('aria-label', `${cd.running ? 'Pause' : 'Start'} "${name}"`);
+  toggle.title = cd.running ? 'Pause' : 'Start';
+}
+
+/** Seconds as MM:SS, or H:MM:SS from an hour up. */
+function formatCountdown(secs) {
+  const h = Math.floor(secs / 3600);
+  const m = String(Math.floor((secs % 3600) / 60)).padStart(2, '0');
+  const s = String(secs % 60).padStart(2, '0');
+  return h ? `${h}:${m}:${s}` : `${m}:${s}`;
+}
+
+// ═══════════════════════════════════════════════════════════
+// BREATHING EXERCISE
+// ═══════════════════════════════════════════════════════════
+
+function initBreathing() {
+  breathingPatterns = new BreathingPatterns();
+  const select   = document.getElementById('breathing-pattern');
+  const lengthIn = document.getElementById('inp-breathing-length');
+  const unitSel  = document.getElementById('breathing-unit');
+  const tonesCb  = document.getElementById('breathing-tones');
+
+  renderBreathingPatterns();
+  select.addEventListener('change', () => {
+    settings.breathingPattern = select.value;
+    saveSettings();
+    renderBreathingPatterns();
+  });
+
+  document.getElementById('btn-breathing-add').addEventListener('click', () => {
+    const text = prompt('Phases for the new pattern, e.g. "in 4, hold 4, out 6" or "4-7-8":');
+    if (!text) return;
+    const phases = parsePhases(text);
+    if (!phases) {
+      showToast('Use in / hold / out with seconds, e.g. "in 4, hold 4, out 6"');
+      return;
     }
+    const name = prompt('Name this pattern:', formatPhases(phases));
+    if (!name || !name.trim()) return;
+    const pattern = breathingPatterns.add(name, phases);
+    settings.breathingPattern = pattern.id;
+    saveSettings();
+    renderBreathingPatterns();
+    showToast(`Saved pattern "${pattern.name}"`);
   });
 
-  resetBtn.addEventListener('click', () => {
-    clearInterval(cdInterval);
-    cdRunning = false;
-    cdTotal = readInputs();
-    cdLeft = cdTotal;
-    updateDisplay();
-    startBtn.textContent = 'Start';
+  document.getElementById('btn-breathing-delete').addEventListener('click', () => {
+    const pattern = breathingPatterns.get(select.value);
+    if (!pattern || pattern.builtIn) return;
+    if (!confirm(`Delete pattern "${pattern.name}"?`)) return;
+    breathingPatterns.remove(pattern.id);
+    settings.breathingPattern = '478';
+    saveSettings();
+    renderBreathingPatterns();
   });
 
-  // Update display when inputs change
-  minInput.addEventListener('change', () => {
-    if (!cdRunning) { cdTotal = readInputs(); cdLeft = cdTotal; updateDisplay(); }
+  // Length: 0 runs until stopped
+  lengthIn.value = settings.breathingLength;
+  unitSel.value  = settings.breathingUnit;
+  lengthIn.addEventListener('change', () => {
+    settings.breathingLength = Math.max(0, Math.min(99, parseInt(lengthIn.value, 10) || 0));
+    lengthIn.value = settings.breathingLength;
+    saveSettings();
+  });
+  unitSel.addEventListener('change', () => {
+    settings.breathingUnit = unitSel.value;
+    saveSettings();
   });
-  secInput.addEventListener('change', () => {
-    if (!cdRunning) { cdTotal = readInputs(); cdLeft = cdTotal; updateDisplay(); }
+  tonesCb.checked = settings.breathingTones;
+  tonesCb.addEventListener('change', () => {
+    settings.breathingTones = tonesCb.checked;
+    saveSettings();
   });
 
-  // Initial display
-  cdTotal = readInputs();
-  cdLeft = cdTotal;
-  updateDisplay();
+  document.getElementById('btn-breathing-start').addEventListener('click', startBreathing);
+  document.getElementById('btn-breathing-stop').addEventListener('click', stopBreathing);
+}
+
+function stopBreathing() {
+  if (breathing?.running) breathing.stop();
+}
+
+function startBreathing() {
+  stopBreathing();
+  const circle  = document.getElementById('breathing-circle');
+  const label   = document.getElementById('breathing-label');
+  const pattern = breathingPatterns.get(settings.breathingPattern) || breathingPatterns.all[0];
+  // A length in minutes rounds to whole cycles
+  const cycles = settings.breathingUnit === 'minutes'
+    ? Math.max(1, Math.round((settings.breathingLength * 60) / cycleLength(pattern)))
+    : settings.breathingLength;
+  breathing = new BreathingSession(pattern, {
+    cycles:  settings.breathingLength ? cycles : 0,
+    onPhase: (phase, session) => {
+      // A second inhale in a row (the sigh's top-up) fills the circle further
+      const prev  = pattern.phases[session.index - 1];
+      const topUp = phase.kind === 'in' && prev?.kind === 'in';
+      circle.className = `breathing-circle ${PHASE_KINDS[phase.kind].cls}${topUp ? ' topup' : ''}`;
+      circle.style.transitionDuration = `${phase.secs}s, 0.5s, 0.5s`;
+      document.getElementById('breathing-info').textContent = session.cycles
+        ? `Cycle ${session.cycle + 1} of ${session.cycles}`
+        : `Cycle ${session.cycle + 1}`;
+      if (settings.breathingTones) playBreathingTone(phase);
+      announce(topUp ? 'Top up' : PHASE_KINDS[phase.kind].spoken, { interrupt: true });
+    },
+    onTick: (left, session) => {
+      label.textContent = `${PHASE_KINDS[session.phase.kind].name} ${left}s`;
+    },
+    onEnd: (summary) => {
+      circle.className = 'breathing-circle';
+      circle.style.transitionDuration = '';
+      label.textContent = summary.completed ? 'Done' : 'Ready';
+      if (!summary.completed) announcer.cancel();
+      else announce('Breathing session complete');
+      showBreathingSummary(summary);
+    },
+  });
+  breathing.start();
+}
+
+function renderBreathingPatterns() {
+  const select = document.getElementById('breathing-pattern');
+  select.innerHTML = '';
+  breathingPatterns.all.forEach((p) => {
+    const opt = document.createElement('option');
+    opt.value       = p.id;
+    opt.textContent = p.name;
+    select.appendChild(opt);
+  });
+  const current = breathingPatterns.get(settings.breathingPattern) || breathingPatterns.all[0];
+  select.value = current.id;
+  document.getElementById('btn-breathing-delete').disabled = !!current.builtIn;
+  if (!breathing?.running) document.getElementById('breathing-info').textContent = formatPhases(current.phases);
+}
+
+/** Rising for an inhale, falling for an exhale, a soft steady note to hold. */
+function playBreathingTone(phase) {
+  const dur = Math.min(phase.secs, 3);
+  if (phase.kind === 'in')   soundBoard.glide(220, 330, 0.06, dur);
+  if (phase.kind === 'out')  soundBoard.glide(330, 220, 0.06, dur);
+  if (phase.kind === 'hold') soundBoard.tone(277.18, 0.03, 1);
+}
+
+function showBreathingSummary({ pattern, cycles, planned, secs, completed }) {
+  const time = `${Math.floor(secs / 60)}:${String(secs % 60).padStart(2, '0')}`;
+  const done = `${cycles} cycle${cycles === 1 ? '' : 's'}`;
+  document.getElementById('breathing-info').textContent = completed
+    ? `Done — ${done} of ${pattern.name} in ${time}`
+    : `Stopped after ${planned ? `${cycles} of ${planned} cycles` : done} · ${time}`;
 }
 
 // ═══════════════════════════════════════════════════════════
-// BREATHING EXERCISE
+// BREAK ACTIVITY
 // ═══════════════════════════════════════════════════════════
 
-function initBreathing() {
-  const circle = document.getElementById('breathing-circle');
-  const label = document.getElementById('breathing-label');
-  const startBtn = document.getElementById('btn-breathing-start');
-  const stopBtn = document.getElementById('btn-breathing-stop');
-
-  const phases = [
-    { name: 'Inhale',  duration: 4, cls: 'inhale' },
-    { name: 'Hold',    duration: 7, cls: 'hold'   },
-    { name: 'Exhale',  duration: 8, cls: 'exhale' },
-  ];
-
-  function stopBreathing() {
-    clearInterval(brInterval);
-    brInterval = null;
-    brPhase = -1;
-    circle.className = 'breathing-circle';
-    label.textContent = 'Ready';
-  }
-
-  function nextPhase() {
-    brPhase = (brPhase + 1) % phases.length;
-    const p = phases[brPhase];
-    circle.className = `breathing-circle ${p.cls}`;
-    let remaining = p.duration;
-    label.textContent = `${p.name} ${remaining}s`;
-    clearInterval(brInterval);
-    brInterval = setInterval(() => {
-      remaining--;
-      if (remaining <= 0) {
-        nextPhase();
-      } else {
-        label.textContent = `${phases[brPhase].name} ${remaining}s`;
-      }
-    }, 1000);
+const BREAK_ACTIVITIES = {
+  none:      'Nothing',
+  breathing: 'Breathing exercise',
+  stretch:   'Stretch routine',
+  eyes:      'Eye rest',
+  quote:     'A quote',
+};
+
+let breakActivity = null;  // activity running this break, e.g. 'stretch'
+let pendingBreak  = null;  // break type whose activity waits for the alarm to be dismissed
+
+function initBreakActivity() {
+  ['short', 'long'].forEach((type) => {
+    const select = document.getElementById(`setting-break-${type}`);
+    Object.entries(BREAK_ACTIVITIES).forEach(([value, name]) => {
+      const opt = document.createElement('option');
+      opt.value       = value;
+      // Routines say how long they take, to match against the break
+      opt.textContent = ROUTINES[value] ? `${name} (~${Math.round(routineLength(ROUTINES[value]) / 60)} min)` : name;
+      select.appendChild(opt);
+    });
+    select.value = settings.breakActivity[type] || 'none';
+    select.addEventListener('change', () => {
+      settings.breakActivity = { ...settings.breakActivity, [type]: select.value };
+      saveSettings();
+    });
+  });
+
+  document.getElementById('btn-break-next').addEventListener('click', () => breakRoutine?.next());
+  document.getElementById('btn-break-skip').addEventListener('click', skipBreak);
+  document.getElementById('btn-timer-skip').addEventListener('click', skipBreak);
+}
+
+/**
+ * A focus session has ended and `type` of break is next: start its
+ * activity, once the alarm (if any) has been dismissed.
+ * @param {'short'|'long'} type
+ */
+function queueBreakActivity(type) {
+  if ((settings.breakActivity[type] || 'none') === 'none') return;
+  if (document.getElementById('alarm-overlay').classList.contains('hidden')) startBreakActivity(type);
+  else pendingBreak = type;
+}
+
+function startBreakActivity(type) {
+  endBreakActivity();
+  const activity = settings.breakActivity[type];
+  const info     = document.getElementById('break-info');
+  const card     = document.getElementById('break-card');
+  const quote    = document.getElementById('break-quote');
+  breakActivity = activity;
+  document.getElementById('break-title').textContent = type === 'long' ? 'Long break' : 'Short break';
+  card.classList.toggle('hidden', !ROUTINES[activity]);
+  quote.classList.toggle('hidden', activity !== 'quote');
+  document.getElementById('btn-break-next').classList.toggle('hidden', !ROUTINES[activity]);
+  info.textContent = '';
+
+  if (activity === 'breathing') {
+    openPanel('breathing-panel');
+    startBreathing();
+    info.textContent = 'Follow the circle in the Breathe panel.';
+  } else if (activity === 'quote') {
+    const q = QUOTES[Math.floor(Math.random() * QUOTES.length)];
+    document.getElementById('break-quote-text').textContent   = q.text;
+    document.getElementById('break-quote-author').textContent = `— ${q.author}`;
+  } else if (ROUTINES[activity]) {
+    const routine = ROUTINES[activity];
+    breakRoutine = new RoutineSession(routine, {
+      onCard: (c, session) => {
+        document.getElementById('break-card-title').textContent = c.title;
+        document.getElementById('break-card-text').textContent  = c.text;
+        info.textContent = `${routine.name} · ${session.index + 1} of ${routine.cards.length}`;
+        announce(c.title, { interrupt: true });
+      },
+      onTick: (left) => {
+        document.getElementById('break-card-time').textContent = `${left}s`;
+      },
+      onEnd: (completed) => {
+        if (!completed) return;
+        document.getElementById('break-card-title').textContent = 'All done';
+        document.getElementById('break-card-text').textContent  = 'Rest until the break is over, or skip ahead if you\'re ready.';
+        document.getElementById('break-card-time').textContent  = '';
+        document.getElementById('btn-break-next').classList.add('hidden');
+        info.textContent = `${routine.name} · complete`;
+      },
+    });
+    breakRoutine.start();
   }
+  openPanel('break-panel');
+}
 
-  startBtn.addEventListener('click', () => {
-    stopBreathing();
-    nextPhase();
+/** Stop whatever the break started, e.g. once focus begins again. */
+function endBreakActivity() {
+  pendingBreak = null;
+  if (!breakActivity) return;
+  if (breakActivity === 'breathing') stopBreathing();
+  if (breakRoutine?.running) breakRoutine.stop();
+  breakRoutine  = null;
+  breakActivity = null;
+  document.getElementById('break-panel').classList.add('hidden');
+}
+
+/** Back early: drop the rest of the break and start the next focus session. */
+function skipBreak() {
+  if (timer.mode === 'focus') return;
+  cancelSnooze();
+  timer.setMode('focus');
+  timer.start();
+  updateTimerControls();
+  showBigClockPomo();
+  if (player && settings.autoResume) player.play();
+}
+
+function openPanel(id) {
+  document.getElementById(id).classList.remove('hidden');
+  const menuItem = document.querySelector(`.tools-menu-item[data-panel="${id}"]`);
+  if (menuItem) menuItem.classList.add('active');
+}
+
+// ═══════════════════════════════════════════════════════════
+// WELLBEING REMINDERS
+// ═══════════════════════════════════════════════════════════
+
+const REMINDER_TIMEOUT = 60; // seconds a reminder stays up before it counts as ignored
+
+let reminderQueue   = [];    // reminders waiting behind the one shown
+let reminderShown   = null;
+let reminderTimeout = null;
+
+function initReminders() {
+  reminders = new ReminderList({
+    onDue: (r) => {
+      if (reminderShown?.id === r.id || reminderQueue.some((q) => q.id === r.id)) return;
+      if (reminderShown) reminderQueue.push(r);
+      else showReminder(r);
+    },
+    isQuiet: reminderQuiet,
+  });
+  renderReminderSettings();
+
+  document.getElementById('btn-reminder-add').addEventListener('click', () => {
+    const label = prompt('Remind me to…');
+    if (!label || !label.trim()) return;
+    const every = parseInt(prompt('Every how many minutes?', '30'), 10);
+    if (!(every >= 1 && every <= 720)) {
+      showToast('Use a whole number of minutes, 1 to 720');
+      return;
+    }
+    reminders.add(label, every);
+    renderReminderSettings();
+  });
+  document.getElementById('btn-reminder-done').addEventListener('click', () => answerReminder('done'));
+  document.getElementById('btn-reminder-dismiss').addEventListener('click', () => answerReminder('ignored'));
+
+  reminders.start();
+}
+
+/** Quiet reminders wait out a running focus session. */
+function reminderQuiet(r) {
+  return r.quietInFocus && timer.isRunning && timer.mode === 'focus';
+}
+
+/** Non-blocking banner; left alone, it goes away and counts as ignored. */
+function showReminder(r) {
+  reminderShown = r;
+  document.getElementById('reminder-banner-title').textContent = r.label;
+  document.getElementById('reminder-banner-text').textContent  = r.text;
+  document.getElementById('reminder-banner').classList.remove('hidden');
+  playEventSound('reminder');
+  announce(r.label);
+  clearTimeout(reminderTimeout);
+  reminderTimeout = setTimeout(() => answerReminder('ignored'), REMINDER_TIMEOUT * 1000);
+}
+
+/** @param {'done'|'ignored'} outcome */
+function answerReminder(outcome) {
+  if (!reminderShown) return;
+  clearTimeout(reminderTimeout);
+  reminders.record(reminderShown, outcome);
+  reminderShown = null;
+  document.getElementById('reminder-banner').classList.add('hidden');
+  renderReminderHistory();
+  // A queued reminder that has to stay quiet by now goes back to waiting
+  while (reminderQueue.length) {
+    const next = reminderQueue.shift();
+    if (!reminders.get(next.id)?.enabled) continue;
+    if (reminderQuiet(next)) {
+      reminders.markDue(next.id);
+      continue;
+    }
+    showReminder(next);
+    break;
+  }
+}
+
+function renderReminderSettings() {
+  const list = document.getElementById('reminder-list');
+  list.innerHTML = '';
+
+  reminders.items.forEach((r) => {
+    const item = document.createElement('div');
+    item.className = 'reminder-item';
+    item.innerHTML = `
+      <div class="reminder-head">
+        <span class="reminder-name"></span>
+        <input type="checkbox" class="setting-checkbox reminder-enabled">
+      </div>
+      <div class="reminder-opts">
+        <label>Every <input type="number" class="setting-number reminder-every" min="1" max="720"> min</label>
+        <label class="reminder-quiet"><input type="checkbox"> Quiet in focus</label>
+        <label>From <input type="time" class="reminder-from"></label>
+        <label>to <input type="time" class="reminder-to"></label>
+      </div>`;
+    item.querySelector('.reminder-name').textContent = r.label;
+    const enabled = item.querySelector('.reminder-enabled');
+    const every   = item.querySelector('.reminder-every');
+    const quiet   = item.querySelector('.reminder-quiet input');
+    const from    = item.querySelector('.reminder-from');
+    const to      = item.querySelector('.reminder-to');
+    enabled.checked = r.enabled;
+    every.value     = r.every;
+    quiet.checked   = r.quietInFocus;
+    from.value      = r.from;
+    to.value        = r.to;
+    enabled.setAttribute('aria-label', `${r.label} on`);
+    item.classList.toggle('off', !r.enabled);
+
+    enabled.addEventListener('change', () => {
+      reminders.update(r.id, { enabled: enabled.checked });
+      item.classList.toggle('off', !enabled.checked);
+    });
+    every.addEventListener('change', () => {
+      const mins = Math.max(1, Math.min(720, parseInt(every.value, 10) || r.every));
+      every.value = mins;
+      reminders.update(r.id, { every: mins });
+    });
+    quiet.addEventListener('change', () => reminders.update(r.id, { quietInFocus: quiet.checked }));
+    // Equal times (the default 00:00–00:00) mean all day
+    from.addEventListener('change', () => reminders.update(r.id, { from: from.value || '00:00' }));
+    to.addEventListener('change',   () => reminders.update(r.id, { to: to.value || '00:00' }));
+
+    if (!isBuiltIn(r.id)) {
+      const del = document.createElement('button');
+      del.className = 'btn-ghost';
+      del.setAttribute('aria-label', `Delete ${r.label}`);
+      del.innerHTML = '<svg class="icon icon-sm"><use href="#ic-trash"/></svg>';
+      del.addEventListener('click', () => {
+        if (!confirm(`Delete the reminder "${r.label}"?`)) return;
+        reminders.remove(r.id);
+        renderReminderSettings();
+      });
+      item.querySelector('.reminder-head').insertBefore(del, enabled);
+    }
+    list.appendChild(item);
+  });
+  renderReminderHistory();
+}
+
+/** The last few answered reminders, and how many of the last 50 were acted on. */
+function renderReminderHistory() {
+  const el = document.getElementById('reminder-history');
+  el.innerHTML = '';
+  if (!reminders.history.length) return;
+  const done = reminders.history.filter((h) => h.outcome === 'done').length;
+  const summary = document.createElement('p');
+  summary.className   = 'reminder-history-summary';
+  summary.textContent = `Acted on ${done} of the last ${reminders.history.length}`;
+  el.appendChild(summary);
+  reminders.history.slice(0, 5).forEach((h) => {
+    const row  = document.createElement('div');
+    row.className = `reminder-history-item ${h.outcome}`;
+    const time = document.createElement('span');
+    time.textContent = new Date(h.at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    const label = document.createElement('span');
+    label.textContent = `${h.label} — ${h.outcome}`;
+    row.append(time, label);
+    el.appendChild(row);
   });
-  stopBtn.addEventListener('click', stopBreathing);
 }
 
 // ═══════════════════════════════════════════════════════════
@@ -1654,6 +3793,11 @@ function initKeyboard() {
       case 'F':
         toggleForeground();
         break;
+      case 'i':
+      case 'I':
+        e.preventDefault(); // keep the key out of the note field
+        openInterruptDialog();
+        break;
     }
   });
 }
@@ -1965,6 +4109,28 @@ function initSettings() {
     });
   }
 
+  // System notifications (asks for permission when turned on)
+  const notificationsCb = document.getElementById('setting-notifications');
+  if (notificationsCb) {
+    notificationsCb.checked = settings.notifications;
+    notificationsCb.addEventListener('change', async () => {
+      if (notificationsCb.checked && !(await notifier.enable())) {
+        notificationsCb.checked = false;
+        showToast(notifier.supported
+          ? 'Notifications are blocked — allow them for this site in your browser'
+          : 'This browser doesn\'t support notifications', 4000);
+      }
+      if (!notificationsCb.checked) {
+        notifier.cancel('pomodoro');
+        countdowns.items.forEach((cd) => notifier.cancel(`countdown-${cd.id}`));
+      }
+      settings.notifications = notificationsCb.checked;
+      saveSettings();
+      syncTimerNotification();
+      syncCountdownNotifications();
+    });
+  }
+
   // Auto-resume toggle
   const autoResumeCb = document.getElementById('setting-auto-resume');
   if (autoResumeCb) {
@@ -1975,6 +4141,119 @@ function initSettings() {
     });
   }
 
+  // Auto-start toggles for the next Pomodoro session
+  const autoStartBreaksCb = document.getElementById('setting-auto-start-breaks');
+  if (autoStartBreaksCb) {
+    autoStartBreaksCb.checked = settings.autoStartBreaks;
+    autoStartBreaksCb.addEventListener('change', () => {
+      settings.autoStartBreaks = autoStartBreaksCb.checked;
+      if (timer) timer.autoStartBreaks = settings.autoStartBreaks;
+      saveSettings();
+    });
+  }
+  const autoStartFocusCb = document.getElementById('setting-auto-start-focus');
+  if (autoStartFocusCb) {
+    autoStartFocusCb.checked = settings.autoStartFocus;
+    autoStartFocusCb.addEventListener('change', () => {
+      settings.autoStartFocus = autoStartFocusCb.checked;
+      if (timer) timer.autoStartFocus = settings.autoStartFocus;
+      saveSettings();
+    });
+  }
+
+  // Which running timer the tab title and favicon follow
+  document.querySelectorAll('.tab-priority-btn').forEach(btn => {
+    btn.classList.toggle('active', btn.dataset.tool === settings.tabPriority);
+    btn.addEventListener('click', () => {
+      settings.tabPriority = btn.dataset.tool;
+      saveSettings();
+      document.querySelectorAll('.tab-priority-btn').forEach(b =>
+        b.classList.toggle('active', b.dataset.tool === settings.tabPriority)
+      );
+    });
+  });
+
+  // Flow mode: let focus sessions run into overtime
+  const overtimeCb = document.getElementById('setting-overtime');
+  if (overtimeCb) {
+    overtimeCb.checked = settings.overtime;
+    overtimeCb.addEventListener('change', () => {
+      settings.overtime = overtimeCb.checked;
+      if (timer) timer.allowOvertime = settings.overtime;
+      saveSettings();
+    });
+  }
+
+  // Prompt for an interruption after a long pause (minutes, 0 = off)
+  const pausePromptInp = document.getElementById('setting-pause-prompt');
+  if (pausePromptInp) {
+    pausePromptInp.value = settings.pausePrompt;
+    pausePromptInp.addEventListener('change', () => {
+      settings.pausePrompt = Math.max(0, Math.min(60, parseInt(pausePromptInp.value, 10) || 0));
+      pausePromptInp.value = settings.pausePrompt;
+      saveSettings();
+    });
+  }
+
+  // Away detection: minutes without input (0 = off) and what to do then
+  const idleAwayInp = document.getElementById('setting-idle-away');
+  if (idleAwayInp) {
+    idleAwayInp.value = settings.idleAway;
+    idleAwayInp.addEventListener('change', () => {
+      settings.idleAway = Math.max(0, Math.min(120, parseInt(idleAwayInp.value, 10) || 0));
+      idleAwayInp.value = settings.idleAway;
+      if (presence) presence.setIdleAfter(settings.idleAway * 60000);
+      saveSettings();
+    });
+  }
+  document.querySelectorAll('.idle-action-btn').forEach(btn => {
+    btn.classList.toggle('active', btn.dataset.action === settings.idleAction);
+    btn.addEventListener('click', () => {
+      settings.idleAction = btn.dataset.action;
+      saveSettings();
+      document.querySelectorAll('.idle-action-btn').forEach(b =>
+        b.classList.toggle('active', b.dataset.action === settings.idleAction)
+      );
+    });
+  });
+
+  // Alarm: snooze length, auto-stop (minutes, 0 = never), gentle ramp, ducking
+  const snoozeInp = document.getElementById('setting-snooze-mins');
+  if (snoozeInp) {
+    snoozeInp.value = settings.snoozeMins;
+    snoozeInp.addEventListener('change', () => {
+      settings.snoozeMins = Math.max(1, Math.min(60, parseInt(snoozeInp.value, 10) || 5));
+      snoozeInp.value = settings.snoozeMins;
+      updateSnoozeLabel();
+      saveSettings();
+    });
+  }
+  const autoStopInp = document.getElementById('setting-alarm-auto-stop');
+  if (autoStopInp) {
+    autoStopInp.value = settings.alarmAutoStop;
+    autoStopInp.addEventListener('change', () => {
+      settings.alarmAutoStop = Math.max(0, Math.min(60, parseInt(autoStopInp.value, 10) || 0));
+      autoStopInp.value = settings.alarmAutoStop;
+      saveSettings();
+    });
+  }
+  const alarmGentleCb = document.getElementById('setting-alarm-gentle');
+  if (alarmGentleCb) {
+    alarmGentleCb.checked = settings.alarmGentle;
+    alarmGentleCb.addEventListener('change', () => {
+      settings.alarmGentle = alarmGentleCb.checked;
+      saveSettings();
+    });
+  }
+  const duckMusicCb = document.getElementById('setting-duck-music');
+  if (duckMusicCb) {
+    duckMusicCb.checked = settings.duckMusic;
+    duckMusicCb.addEventListener('change', () => {
+      settings.duckMusic = duckMusicCb.checked;
+      saveSettings();
+    });
+  }
+
   // Show quote on start toggle
   const showQuoteCb = document.getElementById('setting-show-quote');
   if (showQuoteCb) {
@@ -1985,6 +4264,16 @@ function initSettings() {
     });
   }
 
+  const autoCompleteCb = document.getElementById('setting-auto-complete-tasks');
+  if (autoCompleteCb) {
+    autoCompleteCb.checked = settings.autoCompleteTasks;
+    autoCompleteCb.addEventListener('change', () => {
+      settings.autoCompleteTasks = autoCompleteCb.checked;
+      if (taskList) taskList.autoComplete = settings.autoCompleteTasks;
+      saveSettings();
+    });
+  }
+
   // Show briefs toggle
   const showBriefsCb = document.getElementById('setting-show-briefs');
   if (showBriefsCb) {
@@ -2201,7 +4490,8 @@ function updateRunningTools() {
       const timeStr = timer.format(timer.timeLeft);
       const modeLabel = timer.mode === 'focus' ? 'Focus' : 'Break';
       let urgency = '';
-      if (timer.timeLeft <= 5) urgency = 'brief-flash';
+      if (timer.inOvertime) urgency = 'brief-overtime';
+      else if (timer.timeLeft <= 5) urgency = 'brief-flash';
       else if (timer.timeLeft <= 15) urgency = 'brief-danger';
       else if (timer.timeLeft <= 30) urgency = 'brief-warning';
       chips.push({
@@ -2228,28 +4518,26 @@ function updateRunningTools() {
     }
   }
 
-  // Countdown timer (live instance)
-  if (cdRunning) {
-    const panel = document.getElementById('countdown-panel');
-    const isOpen = panel && !panel.classList.contains('hidden');
-    if (!isOpen) {
-      const m = Math.floor(cdLeft / 60);
-      const s = cdLeft % 60;
+  // Countdown timers (one chip each)
+  const cdPanel = document.getElementById('countdown-panel');
+  if (cdPanel && cdPanel.classList.contains('hidden')) {
+    countdowns.running.forEach((cd) => {
       let urgency = '';
-      if (cdLeft <= 5) urgency = 'brief-flash';
-      else if (cdLeft <= 15) urgency = 'brief-danger';
-      else if (cdLeft <= 30) urgency = 'brief-warning';
+      if (cd.left <= 5) urgency = 'brief-flash';
+      else if (cd.left <= 15) urgency = 'brief-danger';
+      else if (cd.left <= 30) urgency = 'brief-warning';
       chips.push({
         id: 'countdown-panel',
+        key: `countdown-${cd.id}`,
         icon: '#ic-hourglass',
-        text: `${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}`,
+        text: cd.label ? `${cd.label} ${formatCountdown(cd.left)}` : formatCountdown(cd.left),
         cls: urgency,
       });
-    }
+    });
   }
 
   // Breathing exercise (live instance)
-  if (brInterval !== null) {
+  if (breathing?.running) {
     const panel = document.getElementById('breathing-panel');
     const isOpen = panel && !panel.classList.contains('hidden');
     if (!isOpen) {
@@ -2261,10 +4549,11 @@ function updateRunningTools() {
         else if (circle.classList.contains('hold')) breathCls = 'brief-hold';
         else if (circle.classList.contains('exhale')) breathCls = 'brief-exhale';
       }
+      const left = breathing.cyclesLeft;
       chips.push({
         id: 'breathing-panel',
         icon: '#ic-wind',
-        text: label ? label.textContent : 'Breathing',
+        text: `${label ? label.textContent : 'Breathing'}${left ? ` · ${left} left` : ''}`,
         cls: breathCls,
       });
     }
@@ -2291,20 +4580,22 @@ function updateRunningTools() {
   }
 
   // Build HTML
+  // Chips are keyed by panel, or by `key` where a panel has several
   const existing = bar.querySelectorAll('.running-tool-chip');
-  const newIds = new Set(chips.map(c => c.id));
+  const newKeys = new Set(chips.map(c => c.key || c.id));
 
   // Remove stale chips
   existing.forEach(el => {
-    if (!newIds.has(el.dataset.panel)) el.remove();
+    if (!newKeys.has(el.dataset.key)) el.remove();
   });
 
   chips.forEach(chip => {
-    let el = bar.querySelector(`.running-tool-chip[data-panel="${chip.id}"]`);
+    let el = bar.querySelector(`.running-tool-chip[data-key="${chip.key || chip.id}"]`);
     if (!el) {
       el = document.createElement('div');
       el.className = 'running-tool-chip';
       el.dataset.panel = chip.id;
+      el.dataset.key = chip.key || chip.id;
       el.innerHTML = `<svg class="icon"><use href="${chip.icon}"/></svg><span></span>`;
       el.addEventListener('click', () => {
         const panel = document.getElementById(chip.id);
@@ -2318,11 +4609,106 @@ function updateRunningTools() {
     }
     el.querySelector('span').textContent = chip.text;
     // Update urgency/phase class
-    el.classList.remove('brief-warning', 'brief-danger', 'brief-flash', 'brief-inhale', 'brief-hold', 'brief-exhale', 'brief-ambient');
+    el.classList.remove('brief-warning', 'brief-danger', 'brief-flash', 'brief-overtime', 'brief-inhale', 'brief-hold', 'brief-exhale', 'brief-ambient');
     if (chip.cls) el.classList.add(chip.cls);
   });
 }
 
+// ═══════════════════════════════════════════════════════════
+// TAB STATUS (title + favicon progress ring for the running timer)
+// ═══════════════════════════════════════════════════════════
+
+const TAB_COLORS = { short: '#4ade80', long: '#38bdf8', overtime: '#fbbf24', countdown: '#f59e0b', stopwatch: '#f472b6' };
+const TAB_TOOLS  = ['pomodoro', 'countdown', 'stopwatch'];
+
+let tabStatusKey = '';
+let faviconDefault = null;
+
+function initTabStatus() {
+  faviconDefault = document.querySelector('link[rel="icon"]').href;
+  setInterval(updateTabStatus, 250);
+  updateTabStatus();
+}
+
+/**
+ * The running timer to show in the tab, preferring settings.tabPriority.
+ * @returns {{ label: string, time: string, progress: number, color: string }|null}
+ */
+function tabStatus() {
+  const order = [settings.tabPriority, ...TAB_TOOLS.filter((t) => t !== settings.tabPriority)];
+  for (const tool of order) {
+    if (tool === 'pomodoro' && timer?.isRunning) {
+      const over = timer.timeLeft < 0;
+      return {
+        label:    timer.mode === 'focus' ? 'Focus' : timer.mode === 'long' ? 'Long break' : 'Break',
+        time:     timer.format(timer.timeLeft),
+        progress: over ? 1 : 1 - timer.timeLeft / timer.planned,
+        color:    over ? TAB_COLORS.overtime
+          : timer.mode === 'focus' ? getComputedStyle(document.documentElement).getPropertyValue('--accent').trim()
+          : TAB_COLORS[timer.mode],
+      };
+    }
+    const cd = tool === 'countdown' && countdowns?.running[0]; // ends soonest
+    if (cd) {
+      return {
+        label:    cd.label || 'Countdown',
+        time:     formatCountdown(cd.left),
+        progress: 1 - cd.left / cd.total,
+        color:    TAB_COLORS.countdown,
+      };
+    }
+    if (tool === 'stopwatch' && swRunning) {
+      const total = swElapsed + (Date.now() - swStart);
+      return {
+        label:    'Stopwatch',
+        time:     formatMs(total),
+        progress: (Math.floor(total / 1000) % 60) / 60, // sweeps once a minute
+        color:    TAB_COLORS.stopwatch,
+      };
+    }
+  }
+  return null;
+}
+
+function updateTabStatus() {
+  if (!faviconDefault) return; // not initialised yet
+  const status = tabStatus();
+  const key = status ? `${status.label}|${status.time}|${status.color}` : '';
+  if (key === tabStatusKey) return;
+  tabStatusKey = key;
+
+  document.title = status ? `${status.time} · ${status.label} — focusfi` : 'focusfi';
+  document.querySelector('link[rel="icon"]').href =
+    status ? drawProgressFavicon(status.progress, status.color) : faviconDefault;
+}
+
+/**
+ * A progress ring as a PNG data URL.
+ * @param {number} progress  0–1, drawn clockwise from 12 o'clock
+ * @param {string} color
+ */
+function drawProgressFavicon(progress, color) {
+  const size = 64;
+  const canvas = document.createElement('canvas');
+  canvas.width = canvas.height = size;
+  const ctx = canvas.getContext('2d');
+  const r = size / 2 - 6;
+
+  ctx.lineWidth = 10;
+  ctx.strokeStyle = 'rgba(128,128,128,0.35)';
+  ctx.beginPath();
+  ctx.arc(size / 2, size / 2, r, 0, Math.PI * 2);
+  ctx.stroke();
+
+  ctx.strokeStyle = color;
+  ctx.lineCap = 'round';
+  ctx.beginPath();
+  ctx.arc(size / 2, size / 2, r, -Math.PI / 2, -Math.PI / 2 + Math.PI * 2 * Math.max(0.01, progress));
+  ctx.stroke();
+
+  return canvas.toDataURL('image/png');
+}
+
 // ═══════════════════════════════════════════════════════════
 // CREDITS
 // ═══════════════════════════════════════════════════════════
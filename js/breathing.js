@@ -0,0 +1,211 @@
+/**
+ * breathing.js — Breathing patterns and a paced breathing session
+ *
+ * A pattern is a list of phases { kind: 'in'|'hold'|'out', secs } making
+ * up one cycle. Built-in patterns are fixed; custom ones persist in
+ * localStorage. A session runs a pattern for a number of cycles (or until
+ * stopped), timing each phase from an absolute end timestamp so half
+ * seconds stay accurate and a throttled tab doesn't drift.
+ */
+export const PHASE_KINDS = {
+  in:   { name: 'Inhale', cls: 'inhale', spoken: 'Breathe in'  },
+  hold: { name: 'Hold',   cls: 'hold',   spoken: 'Hold'        },
+  out:  { name: 'Exhale', cls: 'exhale', spoken: 'Breathe out' },
+};
+
+const BUILT_INS = [
+  { id: '478',      name: '4-7-8 relax',        builtIn: true, phases: [
+    { kind: 'in', secs: 4 }, { kind: 'hold', secs: 7 }, { kind: 'out', secs: 8 }] },
+  { id: 'box',      name: 'Box 4-4-4-4',        builtIn: true, phases: [
+    { kind: 'in', secs: 4 }, { kind: 'hold', secs: 4 }, { kind: 'out', secs: 4 }, { kind: 'hold', secs: 4 }] },
+  { id: 'coherent', name: 'Coherent 5.5/5.5',   builtIn: true, phases: [
+    { kind: 'in', secs: 5.5 }, { kind: 'out', secs: 5.5 }] },
+  // Two inhales — a full breath, then a short top-up — and a long exhale
+  { id: 'sigh',     name: 'Physiological sigh', builtIn: true, phases: [
+    { kind: 'in', secs: 2 }, { kind: 'in', secs: 1 }, { kind: 'out', secs: 6 }] },
+];
+
+export class BreathingPatterns {
+  /** @param {string} storageKey */
+  constructor(storageKey = 'focusfi-breathing-patterns') {
+    this.key    = storageKey;
+    this.custom = this._load();
+  }
+
+  /** @returns {object[]} built-ins first, then custom patterns */
+  get all() {
+    return [...BUILT_INS, ...this.custom];
+  }
+
+  /** @param {string} id */
+  get(id) {
+    return this.all.find((p) => p.id === id) || null;
+  }
+
+  /**
+   * Save a custom pattern.
+   * @param {string} name
+   * @param {{ kind: string, secs: number }[]} phases
+   * @returns {object} the new pattern
+   */
+  add(name, phases) {
+    const pattern = { id: `custom-${Date.now()}`, name: name.trim(), phases };
+    this.custom.push(pattern);
+    this._save();
+    return pattern;
+  }
+
+  /**
+   * Remove a custom pattern (built-ins can't be removed).
+   * @param {string} id
+   */
+  remove(id) {
+    this.custom = this.custom.filter((p) => p.id !== id);
+    this._save();
+  }
+
+  // ── Storage ──────────────────────────────────────────────
+
+  _load() {
+    try { return JSON.parse(localStorage.getItem(this.key)) || []; }
+    catch { return []; }
+  }
+
+  _save() {
+    localStorage.setItem(this.key, JSON.stringify(this.custom));
+  }
+}
+
+/** @returns {number} seconds in one cycle of a pattern */
+export function cycleLength(pattern) {
+  return pattern.phases.reduce((sum, p) => sum + p.secs, 0);
+}
+
+/**
+ * Parse a phase list such as "in 4, hold 7, out 8" (also "inhale 4s",
+ * "exhale 5.5"); a bare "4-7-8" reads as inhale-hold-exhale and
+ * "4-4-4-4" as a box.
+ * @param {string} text
+ * @returns {{ kind: string, secs: number }[]|null}
+ */
+export function parsePhases(text) {
+  const input = text.trim().toLowerCase();
+  const bare  = input.match(/^\d+(?:\.\d+)?(?:\s*[-/]\s*\d+(?:\.\d+)?){1,3}$/);
+  if (bare) {
+    const secs  = input.split(/[-/]/).map((n) => parseFloat(n));
+    const kinds = [['in', 'out'], ['in', 'hold', 'out'], ['in', 'hold', 'out', 'hold']][secs.length - 2];
+    return secs.some((s) => !(s > 0)) ? null : secs.map((s, i) => ({ kind: kinds[i], secs: s }));
+  }
+
+  const phases = [];
+  for (const part of input.split(/\s*[,;]\s*|\s+(?=[a-z])/)) {
+    const m = part.match(/^(in|inhale|hold|out|exhale)\s*(\d+(?:\.\d+)?)\s*s?$/);
+    if (!m || !(parseFloat(m[2]) > 0)) return null;
+    const kind = { inhale: 'in', exhale: 'out' }[m[1]] || m[1];
+    phases.push({ kind, secs: parseFloat(m[2]) });
+  }
+  return phases.length >= 2 ? phases : null;
+}
+
+/** e.g. "In 4 · Hold 7 · Out 8" */
+export function formatPhases(phases) {
+  return phases.map((p) => `${p.kind.charAt(0).toUpperCase()}${p.kind.slice(1)} ${p.secs}`).join(' · ');
+}
+
+export class BreathingSession {
+  /**
+   * @param {object} pattern
+   * @param {object} opts
+   * @param {number}   [opts.cycles]  cycles to run (0 = until stopped)
+   * @param {function} [opts.onPhase] (phase, session) → void, as each phase begins
+   * @param {function} [opts.onTick]  (secsLeftInPhase, session) → void, each whole second
+   * @param {function} [opts.onEnd]   (summary) → void, when the last cycle is done or it's stopped;
+   *   summary is { pattern, cycles, planned, secs, completed }
+   */
+  constructor(pattern, opts = {}) {
+    this.pattern   = pattern;
+    this.cycles    = opts.cycles || 0;
+    this.onPhase   = opts.onPhase || null;
+    this.onTick    = opts.onTick  || null;
+    this.onEnd     = opts.onEnd   || null;
+    this.cycle     = 0;   // completed cycles
+    this.index     = -1;  // phase within the cycle
+    this.startedAt = null;
+    this.phaseEndsAt = null;
+    this._shown    = null;
+    this._interval = null;
+  }
+
+  get running() {
+    return this._interval !== null;
+  }
+
+  /** @returns {object|null} the current phase */
+  get phase() {
+    return this.pattern.phases[this.index] || null;
+  }
+
+  /** @returns {number|null} cycles left, counting the current one (null if open-ended) */
+  get cyclesLeft() {
+    return this.cycles ? this.cycles - this.cycle : null;
+  }
+
+  start() {
+    if (this.running) return;
+    this.startedAt   = Date.now();
+    this.phaseEndsAt = this.startedAt;
+    this._interval   = setInterval(() => this._tick(), 100);
+    this._tick();
+  }
+
+  /** Stop early; onEnd still reports how far it got. */
+  stop() {
+    if (!this.running) return;
+    this._finish(false);
+  }
+
+  // ── Private ──────────────────────────────────────────────
+
+  _tick() {
+    const now = Date.now();
+    // Catch up phase by phase, so a throttled tab lands in the right one
+    // (and only announces that one)
+    let changed = false;
+    while (now >= this.phaseEndsAt) {
+      if (this.index === this.pattern.phases.length - 1) {
+        this.cycle += 1;
+        this.index = -1;
+        if (this.cycles && this.cycle >= this.cycles) {
+          this._finish(true);
+          return;
+        }
+      }
+      this.index += 1;
+      this.phaseEndsAt += this.phase.secs * 1000;
+      changed = true;
+    }
+    if (changed) {
+      this._shown = null;
+      if (this.onPhase) this.onPhase(this.phase, this);
+    }
+    const left = Math.ceil((this.phaseEndsAt - now) / 1000);
+    if (left !== this._shown) {
+      this._shown = left;
+      if (this.onTick) this.onTick(left, this);
+    }
+  }
+
+  _finish(completed) {
+    clearInterval(this._interval);
+    this._interval = null;
+    if (this.onEnd) {
+      this.onEnd({
+        pattern: this.pattern,
+        cycles:  this.cycle,
+        planned: this.cycles,
+        secs:    Math.round((Date.now() - this.startedAt) / 1000),
+        completed,
+      });
+    }
+  }
+}
@@ -0,0 +1,232 @@
+/**
+ * countdowns.js — Named countdown timers that run side by side
+ *
+ * Each countdown is { id, label, total, left, endsAt, running } with
+ * total/left in seconds. Like the Pomodoro timer, a running countdown
+ * derives its time left from an absolute end timestamp, so throttled
+ * tabs stay accurate, and the list is persisted on every change.
+ */
+export class CountdownList {
+  /**
+   * @param {object} opts
+   * @param {function} [opts.onTick]   (countdown) → void, when a running countdown's seconds change
+   * @param {function} [opts.onEnd]    (countdown) → void, when one reaches zero
+   * @param {function} [opts.onChange] () → void, after any change is saved
+   * @param {string}   [opts.storageKey]
+   */
+  constructor(opts = {}) {
+    this.key      = opts.storageKey || 'focusfi-countdowns';
+    this.onTick   = opts.onTick   || null;
+    this.onEnd    = opts.onEnd    || null;
+    this.onChange = opts.onChange || null;
+    this.items    = this._load();
+    this._interval = null;
+  }
+
+  /** @param {number} id */
+  get(id) {
+    return this.items.find((c) => c.id === id) || null;
+  }
+
+  /** @returns {object[]} running countdowns, soonest to end first */
+  get running() {
+    return this.items.filter((c) => c.running).sort((a, b) => a.endsAt - b.endsAt);
+  }
+
+  // ── Mutation ─────────────────────────────────────────────
+
+  /**
+   * Add a (stopped) countdown.
+   * @param {string} label
+   * @param {number} total  seconds
+   * @returns {object} the new countdown
+   */
+  add(label, total) {
+    let id = Date.now();
+    while (this.get(id)) id += 1;
+    const countdown = { id, label: label.trim(), total, left: total, endsAt: null, running: false };
+    this.items.push(countdown);
+    this._save();
+    return countdown;
+  }
+
+  /** @param {number} id */
+  remove(id) {
+    this.items = this.items.filter((c) => c.id !== id);
+    this._save();
+  }
+
+  /** Start or continue a countdown; one that has finished starts over. */
+  start(id) {
+    const c = this.get(id);
+    if (!c || c.running) return;
+    if (c.left <= 0) c.left = c.total;
+    c.running = true;
+    c.endsAt  = Date.now() + c.left * 1000;
+    this._save();
+    this._startInterval();
+  }
+
+  pause(id) {
+    const c = this.get(id);
+    if (!c || !c.running) return;
+    c.left    = this._secondsLeft(c);
+    c.running = false;
+    c.endsAt  = null;
+    this._save();
+  }
+
+  /** Stop a countdown and put its full duration back. */
+  reset(id) {
+    const c = this.get(id);
+    if (!c) return;
+    c.running = false;
+    c.endsAt  = null;
+    c.left    = c.total;
+    this._save();
+  }
+
+  /**
+   * Shift a countdown's time left, e.g. to give back time that ran while
+   * the user was away. Ends it if that uses the time up.
+   * @param {number} id
+   * @param {number} deltaSecs
+   */
+  adjust(id, deltaSecs) {
+    const c = this.get(id);
+    if (!c) return;
+    if (c.running) c.left = this._secondsLeft(c);
+    c.left = Math.max(0, Math.min(c.total, c.left + deltaSecs));
+    if (c.running) c.endsAt = Date.now() + c.left * 1000;
+    this._save();
+    if (this.onTick) this.onTick(c);
+    if (c.running && c.left <= 0) this._end(c);
+  }
+
+  /**
+   * Pick up countdowns left running before a reload. Call once the
+   * callbacks are wired up — any that ran out meanwhile end now.
+   */
+  restore() {
+    if (!this.running.length) return;
+    this._startInterval();
+    this._tick();
+  }
+
+  // ── Private ──────────────────────────────────────────────
+
+  _secondsLeft(c) {
+    return Math.max(0, Math.ceil((c.endsAt - Date.now()) / 1000));
+  }
+
+  _startInterval() {
+    if (this._interval) return;
+    this._interval = setInterval(() => this._tick(), 250);
+  }
+
+  _tick() {
+    this.running.forEach((c) => {
+      const left = this._secondsLeft(c);
+      if (left === c.left && left > 0) return;
+      c.left = left;
+      if (this.onTick) this.onTick(c);
+      if (c.left <= 0) this._end(c);
+    });
+    if (!this.running.length) {
+      clearInterval(this._interval);
+      this._interval = null;
+    }
+  }
+
+  _end(c) {
+    c.running = false;
+    c.endsAt  = null;
+    this._save();
+    if (this.onEnd) this.onEnd(c);
+  }
+
+  // ── Storage ──────────────────────────────────────────────
+
+  _load() {
+    try { return JSON.parse(localStorage.getItem(this.key)) || []; }
+    catch { return []; }
+  }
+
+  _save() {
+    localStorage.setItem(this.key, JSON.stringify(this.items));
+    if (this.onChange) this.onChange();
+  }
+}
+
+// ── Input parsing ──────────────────────────────────────────
+
+const UNITS = /^(h|hrs?|hours?|m|mins?|minutes?|s|secs?|seconds?)?$/i;
+
+/**
+ * Parse countdown input such as "1h 30m", "90s", "45" (minutes),
+ * "Laundry 40m", "until 14:30" or "Exam until 2:30pm".
+ * @param {string} text
+ * @param {object}  [opts]
+ * @param {Date}    [opts.now]
+ * @param {boolean} [opts.use12]  read clock times without am/pm on a
+ *   12-hour clock (whichever of am/pm comes next)
+ * @returns {{ label: string, seconds: number }|null}
+ */
+export function parseCountdown(text, { now = new Date(), use12 = false } = {}) {
+  const input = text.trim();
+
+  const until = input.match(/^(?:(.*?)\s+)??(?:until|till)\s+(.+)$/i);
+  if (until) {
+    const endsAt = parseClockTime(until[2], now, use12);
+    if (!endsAt) return null;
+    return { label: (until[1] || '').trim(), seconds: Math.ceil((endsAt - now) / 1000) };
+  }
+
+  // Lazy label so "1h 30m" isn't read as a countdown called "1h"
+  const match = input.match(/^(?:(.*?)\s+)??((?:\d+(?:\.\d+)?\s*[a-z]*\s*)+)$/i);
+  if (!match) return null;
+  const tokens = [...match[2].matchAll(/(\d+(?:\.\d+)?)\s*([a-z]*)/gi)];
+  let seconds = 0;
+  for (const [, num, unit] of tokens) {
+    if (!UNITS.test(unit)) return null;
+    if (!unit && tokens.length > 1) return null; // "1 30" is ambiguous
+    const scale = { h: 3600, s: 1 }[unit.charAt(0).toLowerCase()] || 60;
+    seconds += parseFloat(num) * scale;
+  }
+  seconds = Math.round(seconds);
+  return seconds > 0 ? { label: (match[1] || '').trim(), seconds } : null;
+}
+
+/**
+ * The next time the clock shows `text` ("14:30", "2:30pm", "9"),
+ * rolling over midnight if that time has passed today.
+ * @returns {number|null} epoch ms
+ */
+function parseClockTime(text, now, use12) {
+  const m = text.trim().match(/^(\d{1,2})(?::(\d{2}))?\s*([ap])?\.?m?\.?$/i);
+  if (!m) return null;
+  const hour   = parseInt(m[1], 10);
+  const minute = parseInt(m[2] || '0', 10);
+  const suffix = (m[3] || '').toLowerCase();
+  if (minute > 59) return null;
+
+  let hours;
+  if (suffix) {
+    if (hour < 1 || hour > 12) return null;
+    hours = [(hour % 12) + (suffix === 'p' ? 12 : 0)];
+  } else if (hour > 23) {
+    return null;
+  } else if (use12 && hour >= 1 && hour <= 12) {
+    hours = [hour % 12, (hour % 12) + 12];
+  } else {
+    hours = [hour];
+  }
+
+  const times = hours.map((h) => {
+    const d = new Date(now);
+    d.setHours(h, minute, 0, 0);
+    if (d <= now) d.setDate(d.getDate() + 1);
+    return d.getTime();
+  });
+  return Math.min(...times);
+}
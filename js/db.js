@@ -0,0 +1,43 @@
+/**
+ * db.js — Shared IndexedDB connection
+ *
+ * One database holds every store that outgrows localStorage.
+ * Bump DB_VERSION and extend `upgrade` when adding a store.
+ */
+const DB_NAME    = 'focusfi';
+const DB_VERSION = 2;
+
+let dbPromise = null;
+
+/** @returns {Promise<IDBDatabase>} the (cached) open database */
+export function openDB() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => upgrade(req.result);
+      req.onsuccess = () => resolve(req.result);
+      req.onerror   = () => reject(req.error);
+    });
+    // Allow a retry after a failed open (e.g. private mode quirks)
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+}
+
+/** Wrap an IDBRequest in a promise. */
+export function promisify(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror   = () => reject(req.error);
+  });
+}
+
+function upgrade(db) {
+  if (!db.objectStoreNames.contains('sessions')) {
+    const sessions = db.createObjectStore('sessions', { keyPath: 'id', autoIncrement: true });
+    sessions.createIndex('start', 'start');
+  }
+  if (!db.objectStoreNames.contains('sounds')) {
+    db.createObjectStore('sounds', { keyPath: 'id', autoIncrement: true });
+  }
+}
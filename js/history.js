@@ -0,0 +1,97 @@
+/**
+ * history.js — Pomodoro session log (IndexedDB)
+ *
+ * Every finished or abandoned session is stored as:
+ *   { id, mode, start, end, planned, actual, completed, source, interruptions, idle }
+ * start/end are epoch ms, planned/actual/idle are seconds, source is the
+ * stream or playlist that was playing, interruptions is a list of
+ * { at, kind, note } logged during the session and idle is the part of
+ * `actual` the user was away for but chose to keep.
+ */
+import { openDB, promisify } from './db.js';
+
+export class SessionHistory {
+  /**
+   * Log a session.
+   * @param {object} record
+   * @returns {Promise<number>} the new record id
+   */
+  async add(record) {
+    const db = await openDB();
+    return promisify(db.transaction('sessions', 'readwrite').objectStore('sessions').add(record));
+  }
+
+  /**
+   * Sessions that started within [from, to].
+   * @param {number} from  epoch ms
+   * @param {number} [to]  epoch ms (default now)
+   * @returns {Promise<object[]>} oldest first
+   */
+  async between(from, to = Date.now()) {
+    const db    = await openDB();
+    const index = db.transaction('sessions').objectStore('sessions').index('start');
+    return promisify(index.getAll(IDBKeyRange.bound(from, to)));
+  }
+
+  /**
+   * Focus minutes per local day for sessions since `from`.
+   * @param {number} from  epoch ms
+   * @returns {Promise<Map<string, number>>} dayKey → minutes
+   */
+  async focusMinutesByDay(from) {
+    const totals = new Map();
+    (await this.between(from)).forEach((s) => {
+      if (s.mode !== 'focus') return;
+      const key = dayKey(new Date(s.start));
+      totals.set(key, (totals.get(key) || 0) + s.actual / 60);
+    });
+    return totals;
+  }
+
+  /**
+   * Interruptions logged in sessions since `from`, counted by local
+   * weekday (0 = Sunday) and hour of day.
+   * @param {number} from  epoch ms
+   * @returns {Promise<{ total: number, byWeekday: number[], byHour: number[] }>}
+   */
+  async interruptionsBy(from) {
+    const byWeekday = new Array(7).fill(0);
+    const byHour    = new Array(24).fill(0);
+    let total = 0;
+    (await this.between(from)).forEach((s) => {
+      (s.interruptions || []).forEach(({ at }) => {
+        const d = new Date(at);
+        byWeekday[d.getDay()] += 1;
+        byHour[d.getHours()]  += 1;
+        total += 1;
+      });
+    });
+    return { total, byWeekday, byHour };
+  }
+}
+
+/**
+ * Local-time day key, e.g. "2026-03-07".
+ * @param {Date} date
+ */
+export function dayKey(date) {
+  const m = String(date.getMonth() + 1).padStart(2, '0');
+  const d = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${m}-${d}`;
+}
+
+/**
+ * Consecutive days with focus time, ending today — or yesterday if
+ * nothing has been logged yet today, so the streak isn't lost at dawn.
+ * @param {Map<string, number>} totals  from focusMinutesByDay
+ */
+export function focusStreak(totals) {
+  const day = new Date();
+  if (!totals.get(dayKey(day))) day.setDate(day.getDate() - 1);
+  let streak = 0;
+  while (totals.get(dayKey(day)) > 0) {
+    streak += 1;
+    day.setDate(day.getDate() - 1);
+  }
+  return streak;
+}
@@ -0,0 +1,134 @@
+/**
+ * notifier.js — System notifications for timer events
+ *
+ * The page shows a notification itself when its timer ends (`show`).
+ * As a fallback for a throttled background tab, a scheduled notification
+ * is also handed to the service worker (sw.js) a few minutes before it's
+ * due — browsers stop a worker that waits much longer than that. Each
+ * notification has an id ('pomodoro', 'countdown-…'); scheduling or
+ * showing the same id again replaces it.
+ *
+ * Clicking a notification action posts { action, data } back to the page,
+ * which is handed to `onAction`. When the click had to open a new window,
+ * the action arrives in its URL instead and `handleLaunch` passes it on.
+ */
+const WORKER_LEAD = 4 * 60 * 1000; // how long before it's due the worker takes over
+
+export class Notifier {
+  /**
+   * @param {object} opts
+   * @param {function} [opts.onAction] (action, data) → void
+   * @param {string}   [opts.workerUrl] service worker script
+   */
+  constructor(opts = {}) {
+    this.onAction  = opts.onAction  || null;
+    this.workerUrl = opts.workerUrl || 'sw.js';
+    this._worker   = null; // Promise<ServiceWorkerRegistration>
+    this._handoffs = new Map(); // id → timeout until the worker is told
+  }
+
+  /** @returns {boolean} whether this browser can show notifications at all */
+  get supported() {
+    return 'Notification' in window && 'serviceWorker' in navigator;
+  }
+
+  get permitted() {
+    return this.supported && Notification.permission === 'granted';
+  }
+
+  /**
+   * Ask for permission (must follow a user gesture) and start the worker.
+   * @returns {Promise<boolean>} true if notifications may be shown
+   */
+  async enable() {
+    if (!this.supported) return false;
+    if (Notification.permission === 'default') await Notification.requestPermission();
+    if (!this.permitted) return false;
+    this.register();
+    return true;
+  }
+
+  /** Register the service worker and listen for notification actions. */
+  register() {
+    if (this._worker || !this.supported) return;
+    this._worker = navigator.serviceWorker.register(this.workerUrl)
+      .then(() => navigator.serviceWorker.ready);
+    navigator.serviceWorker.addEventListener('message', (e) => {
+      if (e.data?.type === 'notification-action' && this.onAction) {
+        this.onAction(e.data.action, e.data.data);
+      }
+    });
+    this._worker.catch(() => { this._worker = null; });
+  }
+
+  /**
+   * Expect a notification at a given time: the worker shows it then if
+   * the page hasn't called `show` by then.
+   * @param {string} id
+   * @param {number} at  epoch ms
+   * @param {{ title: string, body?: string, actions?: {action: string, title: string}[], data?: object }} notification
+   */
+  schedule(id, at, notification) {
+    this._clearHandoff(id);
+    const message = { type: 'schedule', id, at, title: notification.title, options: this._options(id, notification) };
+    this._handoffs.set(id, setTimeout(() => this._post(message), Math.max(0, at - Date.now() - WORKER_LEAD)));
+  }
+
+  /**
+   * Show a notification now, in place of any scheduled with the same id.
+   * @param {string} id
+   * @param {{ title: string, body?: string, actions?: {action: string, title: string}[], data?: object }} notification
+   */
+  show(id, notification) {
+    if (this._handoffs.has(id)) this.cancel(id);
+    if (!this._worker || !this.permitted) return;
+    this._worker
+      .then((reg) => reg.showNotification(notification.title, this._options(id, notification)))
+      .catch(() => { /* worker unavailable */ });
+  }
+
+  /**
+   * Drop a scheduled notification. Ones already shown stay, so their
+   * actions can still be used.
+   * @param {string} id
+   */
+  cancel(id) {
+    if (!this._handoffs.has(id)) return;
+    this._clearHandoff(id);
+    this._post({ type: 'cancel', id });
+  }
+
+  /** Pass on an action that a notification click opened this page with. */
+  handleLaunch() {
+    const params = new URLSearchParams(location.search);
+    if (!params.has('notification-action')) return;
+    const { 'notification-action': action, ...data } = Object.fromEntries(params);
+    history.replaceState(null, '', location.pathname);
+    if (this.onAction) this.onAction(action, data);
+  }
+
+  // ── Private ──────────────────────────────────────────────
+
+  _options(id, { body = '', actions = [], data = {} }) {
+    return {
+      body,
+      actions,
+      tag:  `focusfi-${id}`,
+      icon: 'favicon.png',
+      requireInteraction: actions.length > 0,
+      data: { ...data, id },
+    };
+  }
+
+  _clearHandoff(id) {
+    clearTimeout(this._handoffs.get(id));
+    this._handoffs.delete(id);
+  }
+
+  _post(message) {
+    if (!this._worker || !this.permitted) return;
+    this._worker
+      .then((reg) => reg.active?.postMessage(message))
+      .catch(() => { /* worker unavailable */ });
+  }
+}
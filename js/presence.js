@@ -0,0 +1,81 @@
+/**
+ * presence.js — Idle / away detection
+ *
+ * The user counts as away once the page has seen no mouse, keyboard or
+ * touch input for `idleAfter` ms. A hidden page gets no input, so a
+ * locked screen or a tab left in the background counts too. The first
+ * input after that — or the page becoming visible again — is a return.
+ *
+ * Away time is measured from the last input, not from when it was
+ * noticed, so callers can tell exactly how long the desk was empty.
+ */
+const ACTIVITY_EVENTS = ['pointermove', 'pointerdown', 'keydown', 'wheel', 'touchstart'];
+
+export class PresenceMonitor {
+  /**
+   * @param {object} opts
+   * @param {number}   [opts.idleAfter] ms without input before the user is away (0 = off)
+   * @param {function} [opts.onAway]    (since) → void, epoch ms of the last input
+   * @param {function} [opts.onReturn]  (since, now) → void
+   */
+  constructor(opts = {}) {
+    this.idleAfter  = opts.idleAfter || 0;
+    this.onAway     = opts.onAway    || null;
+    this.onReturn   = opts.onReturn  || null;
+    this.lastActive = Date.now();
+    this.awaySince  = null;
+    this._interval  = null;
+
+    this._onActivity   = () => this._activity();
+    this._onVisibility = () => {
+      if (document.visibilityState === 'visible') this._activity();
+    };
+  }
+
+  /** Start listening for activity. */
+  start() {
+    ACTIVITY_EVENTS.forEach((type) =>
+      document.addEventListener(type, this._onActivity, { passive: true })
+    );
+    document.addEventListener('visibilitychange', this._onVisibility);
+    // Input can't be seen from a throttled background tab anyway, so a
+    // coarse check is enough; away time is backdated to the last input
+    this._interval = setInterval(() => this._check(), 5000);
+  }
+
+  stop() {
+    ACTIVITY_EVENTS.forEach((type) =>
+      document.removeEventListener(type, this._onActivity)
+    );
+    document.removeEventListener('visibilitychange', this._onVisibility);
+    clearInterval(this._interval);
+    this._interval = null;
+  }
+
+  /** @param {number} ms  0 turns detection off */
+  setIdleAfter(ms) {
+    this.idleAfter = ms;
+  }
+
+  get isAway() {
+    return this.awaySince !== null;
+  }
+
+  // ── Private ──────────────────────────────────────────────
+
+  _check() {
+    if (!this.idleAfter || this.isAway) return;
+    if (Date.now() - this.lastActive < this.idleAfter) return;
+    this.awaySince = this.lastActive;
+    if (this.onAway) this.onAway(this.awaySince);
+  }
+
+  _activity() {
+    const now = Date.now();
+    this.lastActive = now;
+    if (!this.isAway) return;
+    const since = this.awaySince;
+    this.awaySince = null;
+    if (this.onReturn) this.onReturn(since, now);
+  }
+}
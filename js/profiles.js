@@ -0,0 +1,77 @@
+/**
+ * profiles.js — Named Pomodoro timer profiles
+ *
+ * A profile bundles focus, short-break and long-break lengths (minutes)
+ * with the number of focus sessions before a long break.
+ * Built-in profiles are fixed; custom ones persist in localStorage.
+ */
+const BUILT_INS = [
+  { id: 'classic', name: 'Classic 25/5', focus: 25, short: 5,  long: 15, cycle: 4, builtIn: true },
+  { id: 'long',    name: 'Long 50/10',   focus: 50, short: 10, long: 30, cycle: 3, builtIn: true },
+  { id: 'deep',    name: 'Deep 90/20',   focus: 90, short: 20, long: 30, cycle: 2, builtIn: true },
+];
+
+export class TimerProfiles {
+  /** @param {string} storageKey */
+  constructor(storageKey = 'focusfi-timer-profiles') {
+    this.key    = storageKey;
+    this.custom = this._load();
+  }
+
+  /** @returns {object[]} built-ins first, then custom profiles */
+  get all() {
+    return [...BUILT_INS, ...this.custom];
+  }
+
+  /** @param {string} id */
+  get(id) {
+    return this.all.find((p) => p.id === id) || null;
+  }
+
+  /**
+   * Find the profile matching a set of durations, if any.
+   * @param {{ focus: number, short: number, long: number, cycle: number }} values
+   */
+  match(values) {
+    return this.all.find((p) =>
+      p.focus === values.focus && p.short === values.short &&
+      p.long === values.long && p.cycle === values.cycle
+    ) || null;
+  }
+
+  // ── Mutation ─────────────────────────────────────────────
+
+  /**
+   * Save a custom profile.
+   * @param {string} name
+   * @param {{ focus: number, short: number, long: number, cycle: number }} values
+   * @returns {object} the new profile
+   */
+  add(name, values) {
+    const { focus, short, long, cycle } = values;
+    const profile = { id: `custom-${Date.now()}`, name: name.trim(), focus, short, long, cycle };
+    this.custom.push(profile);
+    this._save();
+    return profile;
+  }
+
+  /**
+   * Remove a custom profile (built-ins can't be removed).
+   * @param {string} id
+   */
+  remove(id) {
+    this.custom = this.custom.filter((p) => p.id !== id);
+    this._save();
+  }
+
+  // ── Storage ──────────────────────────────────────────────
+
+  _load() {
+    try { return JSON.parse(localStorage.getItem(this.key)) || []; }
+    catch { return []; }
+  }
+
+  _save() {
+    localStorage.setItem(this.key, JSON.stringify(this.custom));
+  }
+}
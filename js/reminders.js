@@ -0,0 +1,185 @@
+/**
+ * reminders.js — Recurring wellbeing reminders (eye rest, water, posture…)
+ *
+ * Each reminder is { id, label, text, every, from, to, quietInFocus,
+ * enabled, nextAt } with `every` in minutes and from/to ("HH:MM") the
+ * hours it may fire in. Due times are absolute timestamps so they survive
+ * a reload; one that comes due while it has to stay quiet waits until it
+ * may fire. Acknowledged and ignored reminders are kept in a short history.
+ */
+const DEFAULTS = [
+  { id: 'eyes',    label: 'Eye rest',      every: 20, text: 'Look at something 20 feet away for 20 seconds.' },
+  { id: 'water',   label: 'Drink water',   every: 60, text: 'Time for a glass of water.' },
+  { id: 'posture', label: 'Posture check', every: 45, text: 'Sit back, drop your shoulders and plant your feet.' },
+];
+
+const HISTORY_MAX = 50;
+
+export class ReminderList {
+  /**
+   * @param {object} opts
+   * @param {function} [opts.onDue]   (reminder) → void, when a reminder fires
+   * @param {function} [opts.isQuiet] (reminder) → boolean, true to hold it back for now
+   * @param {string}   [opts.storageKey]
+   */
+  constructor(opts = {}) {
+    this.key     = opts.storageKey || 'focusfi-reminders';
+    this.onDue   = opts.onDue   || null;
+    this.isQuiet = opts.isQuiet || null;
+    this.items   = this._load();
+    this.history = this._loadHistory();
+    this._interval = null;
+  }
+
+  /** @param {string} id */
+  get(id) {
+    return this.items.find((r) => r.id === id) || null;
+  }
+
+  // ── Mutation ─────────────────────────────────────────────
+
+  /**
+   * Add a custom reminder (enabled straight away).
+   * @param {string} label
+   * @param {number} every  minutes
+   * @returns {object} the new reminder
+   */
+  add(label, every) {
+    const reminder = {
+      id: `custom-${Date.now()}`, label: label.trim(), text: '', every,
+      from: '00:00', to: '00:00', quietInFocus: true, enabled: true, nextAt: null,
+    };
+    this._schedule(reminder, Date.now());
+    this.items.push(reminder);
+    this._save();
+    return reminder;
+  }
+
+  /**
+   * Change a reminder's options. A new interval, or switching it on,
+   * restarts its countdown from now.
+   * @param {string} id
+   * @param {object} changes
+   */
+  update(id, changes) {
+    const r = this.get(id);
+    if (!r) return;
+    const restart = ('every' in changes && changes.every !== r.every) || (changes.enabled && !r.enabled);
+    Object.assign(r, changes);
+    if (!r.enabled) r.nextAt = null;
+    else if (restart || !r.nextAt) this._schedule(r, Date.now());
+    this._save();
+  }
+
+  /**
+   * Make a reminder due again straight away, e.g. one that fired but had
+   * to be held back before it could be shown. It fires at the next check
+   * it's allowed to.
+   * @param {string} id
+   */
+  markDue(id) {
+    const r = this.get(id);
+    if (!r || !r.enabled) return;
+    r.nextAt = Date.now();
+    this._save();
+  }
+
+  /** Remove a custom reminder (the built-in ones can only be switched off). */
+  remove(id) {
+    this.items = this.items.filter((r) => r.id !== id || isBuiltIn(id));
+    this._save();
+  }
+
+  /**
+   * Log how a reminder that fired was answered.
+   * @param {object} reminder
+   * @param {'done'|'ignored'} outcome
+   */
+  record(reminder, outcome) {
+    this.history.unshift({ id: reminder.id, label: reminder.label, at: Date.now(), outcome });
+    this.history.length = Math.min(this.history.length, HISTORY_MAX);
+    localStorage.setItem(`${this.key}-history`, JSON.stringify(this.history));
+  }
+
+  /** Begin checking for due reminders. Call once the callbacks are wired up. */
+  start() {
+    if (this._interval) return;
+    this._interval = setInterval(() => this._tick(), 5000);
+    this._tick();
+  }
+
+  // ── Private ──────────────────────────────────────────────
+
+  _schedule(r, from) {
+    r.nextAt = from + r.every * 60000;
+  }
+
+  _tick() {
+    const now = Date.now();
+    let changed = false;
+    this.items.forEach((r) => {
+      if (!r.enabled) return;
+      if (!r.nextAt) {
+        this._schedule(r, now);
+        changed = true;
+        return;
+      }
+      if (now < r.nextAt) return;
+      // Outside its hours it skips ahead; held back, it stays due
+      if (!inActiveHours(r, new Date(now))) {
+        while (r.nextAt <= now) r.nextAt += r.every * 60000;
+        changed = true;
+        return;
+      }
+      if (this.isQuiet && this.isQuiet(r)) return;
+      this._schedule(r, now);
+      changed = true;
+      if (this.onDue) this.onDue(r);
+    });
+    if (changed) this._save();
+  }
+
+  // ── Storage ──────────────────────────────────────────────
+
+  _load() {
+    let saved = [];
+    try { saved = JSON.parse(localStorage.getItem(this.key)) || []; }
+    catch { /* ignore */ }
+    // Built-ins always exist, off until switched on
+    const builtIns = DEFAULTS.map((d) => ({
+      from: '00:00', to: '00:00', quietInFocus: true, enabled: false, nextAt: null,
+      ...d, ...saved.find((r) => r.id === d.id),
+    }));
+    return [...builtIns, ...saved.filter((r) => !isBuiltIn(r.id))];
+  }
+
+  _loadHistory() {
+    try { return JSON.parse(localStorage.getItem(`${this.key}-history`)) || []; }
+    catch { return []; }
+  }
+
+  _save() {
+    localStorage.setItem(this.key, JSON.stringify(this.items));
+  }
+}
+
+/** @returns {boolean} whether `id` is one of the built-in reminders */
+export function isBuiltIn(id) {
+  return DEFAULTS.some((d) => d.id === id);
+}
+
+/**
+ * Whether `date` falls in a reminder's active hours. The window may run
+ * past midnight ("22:00"–"06:00"); equal ends mean all day.
+ * @param {{ from: string, to: string }} reminder
+ * @param {Date} date
+ * @returns {boolean}
+ */
+export function inActiveHours({ from, to }, date) {
+  if (from === to) return true;
+  const mins  = (hhmm) => { const [h, m] = hhmm.split(':').map(Number); return h * 60 + m; };
+  const now   = date.getHours() * 60 + date.getMinutes();
+  const start = mins(from);
+  const end   = mins(to);
+  return start < end ? now >= start && now < end : now >= start || now < end;
+}
@@ -0,0 +1,110 @@
+/**
+ * routines.js — Guided break routines shown as timed cards
+ *
+ * A routine is a list of cards { title, text, secs } worked through once.
+ * Like a breathing session, each card is timed from an absolute end
+ * timestamp, so a throttled tab lands on the right card when it wakes.
+ */
+export const ROUTINES = {
+  stretch: { name: 'Stretch', cards: [
+    { title: 'Neck rolls',         secs: 30, text: 'Drop your chin to your chest and roll your head slowly from shoulder to shoulder.' },
+    { title: 'Shoulder shrugs',    secs: 20, text: 'Lift your shoulders up to your ears, hold a moment, then let them fall. Repeat.' },
+    { title: 'Chest opener',       secs: 30, text: 'Clasp your hands behind your back, straighten your arms and lift your chest.' },
+    { title: 'Overhead reach',     secs: 30, text: 'Stand up, interlace your fingers and reach for the ceiling. Lean gently left, then right.' },
+    { title: 'Wrist stretch',      secs: 30, text: 'Hold one arm out, palm up, and ease the fingers back with the other hand. Switch sides.' },
+    { title: 'Forward fold',       secs: 30, text: 'Feet hip-width apart, bend at the hips and let your arms hang. Knees soft.' },
+    { title: 'Walk it off',        secs: 60, text: 'Take a short walk — fetch some water, or just loop the room.' },
+  ] },
+  eyes: { name: 'Eye rest', cards: [
+    { title: 'Look away',          secs: 20, text: 'Find something at least 6 metres (20 feet) away and rest your eyes on it.' },
+    { title: 'Palming',            secs: 30, text: 'Rub your palms warm and cup them over your closed eyes. Breathe slowly.' },
+    { title: 'Blink',              secs: 15, text: 'Blink slowly and fully, again and again, to rewet your eyes.' },
+    { title: 'Figure of eight',    secs: 30, text: 'Trace a large sideways 8 with your eyes, one way and then the other.' },
+    { title: 'Near and far',       secs: 30, text: 'Focus on your thumb at arm\'s length, then on something far away. Switch every few seconds.' },
+    { title: 'Close your eyes',    secs: 30, text: 'Close your eyes and let them rest. Relax your forehead and jaw.' },
+  ] },
+};
+
+/** @returns {number} seconds the whole routine takes */
+export function routineLength(routine) {
+  return routine.cards.reduce((sum, c) => sum + c.secs, 0);
+}
+
+export class RoutineSession {
+  /**
+   * @param {object} routine
+   * @param {object} opts
+   * @param {function} [opts.onCard] (card, session) → void, as each card begins
+   * @param {function} [opts.onTick] (secsLeftOnCard, session) → void, each whole second
+   * @param {function} [opts.onEnd]  (completed) → void, after the last card or when stopped
+   */
+  constructor(routine, opts = {}) {
+    this.routine  = routine;
+    this.onCard   = opts.onCard || null;
+    this.onTick   = opts.onTick || null;
+    this.onEnd    = opts.onEnd  || null;
+    this.index    = -1;
+    this.cardEndsAt = null;
+    this._shown    = null;
+    this._interval = null;
+  }
+
+  get running() {
+    return this._interval !== null;
+  }
+
+  /** @returns {object|null} the current card */
+  get card() {
+    return this.routine.cards[this.index] || null;
+  }
+
+  start() {
+    if (this.running) return;
+    this.cardEndsAt = Date.now();
+    this._interval  = setInterval(() => this._tick(), 250);
+    this._tick();
+  }
+
+  /** Move on to the next card now. */
+  next() {
+    if (!this.running) return;
+    this.cardEndsAt = Date.now();
+    this._tick();
+  }
+
+  stop() {
+    if (!this.running) return;
+    this._finish(false);
+  }
+
+  // ── Private ──────────────────────────────────────────────
+
+  _tick() {
+    const now = Date.now();
+    let changed = false;
+    while (now >= this.cardEndsAt) {
+      if (this.index === this.routine.cards.length - 1) {
+        this._finish(true);
+        return;
+      }
+      this.index += 1;
+      this.cardEndsAt += this.card.secs * 1000;
+      changed = true;
+    }
+    if (changed) {
+      this._shown = null;
+      if (this.onCard) this.onCard(this.card, this);
+    }
+    const left = Math.ceil((this.cardEndsAt - now) / 1000);
+    if (left !== this._shown) {
+      this._shown = left;
+      if (this.onTick) this.onTick(left, this);
+    }
+  }
+
+  _finish(completed) {
+    clearInterval(this._interval);
+    this._interval = null;
+    if (this.onEnd) this.onEnd(completed);
+  }
+}
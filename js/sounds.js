@@ -0,0 +1,406 @@
+/**
+ * sounds.js — Alert sounds: synthesized packs and imported audio files
+ *
+ * Every alert plays through one shared AudioContext. A sound id is either
+ * a built-in synthesized pattern ('alarm', 'bells', …) or 'user-<n>' for
+ * an audio file the user imported, which is kept in IndexedDB ('sounds'
+ * store: { id, name, type, data: ArrayBuffer, added }).
+ *
+ * play() and loop() return a handle with stop() and the output gain
+ * (0–1 volume), so callers can fade or silence a sound already playing.
+ * Sounds go to the speakers unless play() is given another output node,
+ * which must belong to the board's AudioContext.
+ */
+import { openDB, promisify } from './db.js';
+
+const MAX_FILE_BYTES = 1024 * 1024;
+const MAX_FILE_SECS  = 30;
+
+// Built-in patterns: (ctx, out, t) → length in seconds, scheduled from t
+const PATTERNS = {
+  // Two-tone alternating alarm: high-low-high-low
+  alarm(ctx, out, t) {
+    [
+      { freq: 880, start: 0,    dur: 0.18 },
+      { freq: 660, start: 0.22, dur: 0.18 },
+      { freq: 880, start: 0.44, dur: 0.18 },
+      { freq: 660, start: 0.66, dur: 0.18 },
+      { freq: 988, start: 0.9,  dur: 0.25 },  // higher peak note
+      { freq: 660, start: 1.2,  dur: 0.18 },
+    ].forEach(({ freq, start, dur }) => {
+      const gain = ctx.createGain();
+      gain.gain.setValueAtTime(0, t + start);
+      gain.gain.linearRampToValueAtTime(0.22, t + start + 0.02);
+      gain.gain.setValueAtTime(0.22, t + start + dur * 0.7);
+      gain.gain.exponentialRampToValueAtTime(0.001, t + start + dur);
+      gain.connect(out);
+      osc(ctx, gain, 'sine', freq, t + start, dur);
+    });
+    return 1.6;
+  },
+
+  // Ethereal chime — layered pads + shimmer through a synthetic reverb
+  chime(ctx, out, t) {
+    const master = ctx.createGain();
+    master.gain.value = 0.18;
+    master.connect(out);
+    const { dry, wet } = reverb(ctx, master, 2.5);
+
+    // Pad chord: Cmaj7 spread across octaves — ethereal voicing
+    [
+      { freq: 261.63, start: 0,    dur: 2.8 },  // C4
+      { freq: 329.63, start: 0.1,  dur: 2.6 },  // E4
+      { freq: 392.00, start: 0.2,  dur: 2.5 },  // G4
+      { freq: 493.88, start: 0.3,  dur: 2.4 },  // B4
+      { freq: 523.25, start: 0.15, dur: 2.5 },  // C5
+    ].forEach(({ freq, start, dur }) => {
+      // Two detuned oscillators for warmth, slow swell in, long fade out
+      [-4, 4].forEach((detune) => {
+        const gain = ctx.createGain();
+        gain.gain.setValueAtTime(0, t + start);
+        gain.gain.linearRampToValueAtTime(0.07, t + start + 0.6);
+        gain.gain.setValueAtTime(0.07, t + start + dur * 0.5);
+        gain.gain.exponentialRampToValueAtTime(0.001, t + start + dur);
+        gain.connect(dry);
+        gain.connect(wet);
+        osc(ctx, gain, 'sine', freq, t + start, dur, detune);
+      });
+    });
+
+    // Shimmer arpeggiated bells on top
+    [
+      { freq: 1046.50, start: 0.3, dur: 1.2 },  // C6
+      { freq: 1318.51, start: 0.6, dur: 1.0 },  // E6
+      { freq: 1567.98, start: 0.9, dur: 1.0 },  // G6
+      { freq: 1975.53, start: 1.2, dur: 1.2 },  // B6
+    ].forEach(({ freq, start, dur }) => {
+      const gain = ctx.createGain();
+      gain.gain.setValueAtTime(0, t + start);
+      gain.gain.linearRampToValueAtTime(0.04, t + start + 0.04);
+      gain.gain.exponentialRampToValueAtTime(0.001, t + start + dur);
+      gain.connect(dry);
+      gain.connect(wet);
+      osc(ctx, gain, 'triangle', freq, t + start, dur);
+    });
+    return 3.4;
+  },
+
+  // Two struck bells — inharmonic partials, the upper ones dying first
+  bells(ctx, out, t) {
+    [{ freq: 784, start: 0 }, { freq: 587.33, start: 0.6 }].forEach(({ freq, start }) => {
+      [[1, 0.16, 2.2], [2.0, 0.07, 1.4], [2.76, 0.05, 1.0], [5.4, 0.03, 0.5]].forEach(([ratio, peak, dur]) => {
+        strike(ctx, out, 'sine', freq * ratio, t + start, peak, dur);
+      });
+    });
+    return 2.8;
+  },
+
+  // Soft marimba arpeggio — a woody tone from a quickly fading fourth harmonic
+  marimba(ctx, out, t) {
+    [523.25, 659.25, 783.99, 1046.5].forEach((freq, i) => {
+      strike(ctx, out, 'sine', freq,     t + i * 0.18, 0.2,  0.7);
+      strike(ctx, out, 'sine', freq * 4, t + i * 0.18, 0.03, 0.08);
+    });
+    return 1.6;
+  },
+
+  // Watch-style digital beeps
+  digital(ctx, out, t) {
+    [0, 0.12, 0.24, 0.36].forEach((start) => {
+      const gain = ctx.createGain();
+      gain.gain.setValueAtTime(0.08, t + start);
+      gain.gain.setValueAtTime(0, t + start + 0.07);
+      gain.connect(out);
+      osc(ctx, gain, 'square', 2048, t + start, 0.07);
+    });
+    return 1.0;
+  },
+
+  // Singing bowl — slightly detuned partials beat against each other
+  bowl(ctx, out, t) {
+    [[1, 0.14, 6], [1.006, 0.1, 6], [2.71, 0.05, 4], [5.15, 0.025, 2.5]].forEach(([ratio, peak, dur]) => {
+      const gain = ctx.createGain();
+      gain.gain.setValueAtTime(0, t);
+      gain.gain.linearRampToValueAtTime(peak, t + 0.03);
+      gain.gain.exponentialRampToValueAtTime(0.001, t + dur);
+      gain.connect(out);
+      osc(ctx, gain, 'sine', 220 * ratio, t, dur);
+    });
+    return 6;
+  },
+};
+
+export const BUILT_IN_SOUNDS = [
+  { id: 'alarm',   name: 'Classic alarm' },
+  { id: 'chime',   name: 'Ethereal chime' },
+  { id: 'bells',   name: 'Bells' },
+  { id: 'marimba', name: 'Soft marimba' },
+  { id: 'digital', name: 'Digital' },
+  { id: 'bowl',    name: 'Singing bowl' },
+];
+
+export class SoundBoard {
+  /**
+   * @param {object} [opts]
+   * @param {function} [opts.context] () → AudioContext to share with other
+   *   audio, e.g. the ambient sounds; by default the board creates its own
+   */
+  constructor(opts = {}) {
+    this.user     = [];        // imported sounds: { id, name }
+    this._getContext = opts.context || null;
+    this._ctx     = null;
+    this._buffers = new Map(); // id → Promise<AudioBuffer>
+  }
+
+  /** @returns {{ id: string, name: string }[]} built-ins, then imported sounds */
+  get all() {
+    return [...BUILT_IN_SOUNDS, ...this.user];
+  }
+
+  /** @param {string} id */
+  has(id) {
+    return this.all.some((s) => s.id === id);
+  }
+
+  /** The shared AudioContext, created on first use. */
+  get context() {
+    if (this._getContext) return this._getContext();
+    if (!this._ctx) this._ctx = new (window.AudioContext || window.webkitAudioContext)();
+    if (this._ctx.state === 'suspended') this._ctx.resume();
+    return this._ctx;
+  }
+
+  // ── Playback ─────────────────────────────────────────────
+
+  /**
+   * Play a sound once.
+   * @param {string} id
+   * @param {number} [volume] 0–1
+   * @param {object} [opts]
+   * @param {AudioNode} [opts.output] where to send it (default: the speakers)
+   * @returns {{ gain: AudioParam, stop: function }}
+   */
+  play(id, volume = 1, { output } = {}) {
+    const handle = this._output(volume, output);
+    this._schedule(id, handle.out, this.context.currentTime).catch(() => {});
+    return handle;
+  }
+
+  /**
+   * Play a sound over and over until stopped.
+   * @param {string} id
+   * @param {number} [volume] 0–1
+   * @param {object} [opts]
+   * @param {number} [opts.ramp] seconds to grow from quiet to `volume` (0 = start at full)
+   * @returns {{ gain: AudioParam, stop: function }}
+   */
+  loop(id, volume = 1, { ramp = 0 } = {}) {
+    const handle = this._output(volume);
+    const ctx    = this.context;
+    if (ramp) {
+      handle.gain.setValueAtTime(volume * 0.05, ctx.currentTime);
+      handle.gain.linearRampToValueAtTime(volume, ctx.currentTime + ramp);
+    }
+
+    // Schedule each repeat on the audio clock as the previous one ends
+    let next = ctx.currentTime;
+    let timeout = null;
+    const repeat = async () => {
+      if (handle.stopped) return;
+      try {
+        next += await this._schedule(id, handle.out, Math.max(next, ctx.currentTime));
+      } catch {
+        return; // sound unavailable
+      }
+      timeout = setTimeout(repeat, Math.max(0, (next - ctx.currentTime) * 1000 - 100));
+    };
+    repeat();
+
+    const stop = handle.stop;
+    handle.stop = () => { clearTimeout(timeout); stop(); };
+    return handle;
+  }
+
+  /**
+   * A single sine tone — for short cues that aren't worth a sound setting.
+   * @param {number} freq      Hz
+   * @param {number} vol       0–1 gain
+   * @param {number} duration  seconds
+   * @param {number} [delay]   seconds before starting
+   */
+  tone(freq, vol, duration, delay = 0) {
+    try {
+      const ctx = this.context;
+      strike(ctx, ctx.destination, 'sine', freq, ctx.currentTime + delay, vol, duration, 0);
+    } catch { /* AudioContext blocked or unavailable */ }
+  }
+
+  /**
+   * A soft tone sliding between two pitches, e.g. rising for an inhale.
+   * @param {number} from      Hz
+   * @param {number} to        Hz
+   * @param {number} vol       0–1 gain
+   * @param {number} duration  seconds
+   */
+  glide(from, to, vol, duration) {
+    try {
+      const ctx  = this.context;
+      const t    = ctx.currentTime;
+      const gain = ctx.createGain();
+      gain.gain.setValueAtTime(0, t);
+      gain.gain.linearRampToValueAtTime(vol, t + 0.08);
+      gain.gain.exponentialRampToValueAtTime(0.0001, t + duration);
+      gain.connect(ctx.destination);
+      const o = osc(ctx, gain, 'sine', from, t, duration);
+      o.frequency.setValueAtTime(from, t);
+      o.frequency.exponentialRampToValueAtTime(to, t + duration);
+    } catch { /* AudioContext blocked or unavailable */ }
+  }
+
+  // ── Imported sounds ──────────────────────────────────────
+
+  /** Load the list of imported sounds. */
+  async loadUserSounds() {
+    const db = await openDB();
+    const records = await promisify(db.transaction('sounds').objectStore('sounds').getAll());
+    this.user = records.map(({ id, name }) => ({ id: `user-${id}`, name }));
+    return this.user;
+  }
+
+  /**
+   * Import a short audio file.
+   * @param {File} file
+   * @returns {Promise<{ id: string, name: string }>}
+   * @throws {Error} with a message for the user if the file can't be used
+   */
+  async importFile(file) {
+    if (file.size > MAX_FILE_BYTES) throw new Error('Sound files can be up to 1 MB');
+    const data = await file.arrayBuffer();
+    let buffer;
+    try {
+      // decodeAudioData detaches the buffer it's given
+      buffer = await this.context.decodeAudioData(data.slice(0));
+    } catch {
+      throw new Error("That file couldn't be read as audio");
+    }
+    if (buffer.duration > MAX_FILE_SECS) throw new Error(`Sounds can be up to ${MAX_FILE_SECS} seconds long`);
+
+    const name = file.name.replace(/\.[^.]+$/, '');
+    const db   = await openDB();
+    const key  = await promisify(db.transaction('sounds', 'readwrite').objectStore('sounds')
+      .add({ name, type: file.type, data, added: Date.now() }));
+    const sound = { id: `user-${key}`, name };
+    this.user.push(sound);
+    this._buffers.set(sound.id, Promise.resolve(buffer));
+    return sound;
+  }
+
+  /** @param {string} id  'user-<n>' */
+  async removeUserSound(id) {
+    const db = await openDB();
+    await promisify(db.transaction('sounds', 'readwrite').objectStore('sounds').delete(userKey(id)));
+    this.user = this.user.filter((s) => s.id !== id);
+    this._buffers.delete(id);
+  }
+
+  // ── Private ──────────────────────────────────────────────
+
+  /** A gain stage into the speakers; stop() cuts everything routed through it. */
+  _output(volume, dest = this.context.destination) {
+    const out = this.context.createGain();
+    out.gain.value = volume;
+    out.connect(dest);
+    const handle = {
+      out,
+      gain: out.gain,
+      stopped: false,
+      stop() {
+        handle.stopped = true;
+        try { out.disconnect(); } catch { /* already stopped */ }
+      },
+    };
+    return handle;
+  }
+
+  /** Schedule one play of `id` at `t`; resolves to its length in seconds. */
+  async _schedule(id, out, t) {
+    const ctx = this.context;
+    if (PATTERNS[id]) return PATTERNS[id](ctx, out, t);
+
+    const buffer = await this._buffer(id);
+    const source = ctx.createBufferSource();
+    source.buffer = buffer;
+    source.connect(out);
+    source.start(t);
+    // A short gap so a looped file doesn't run into itself
+    return buffer.duration + 0.4;
+  }
+
+  _buffer(id) {
+    if (!this._buffers.has(id)) {
+      const loading = (async () => {
+        const db     = await openDB();
+        const record = await promisify(db.transaction('sounds').objectStore('sounds').get(userKey(id)));
+        if (!record) throw new Error(`Unknown sound ${id}`);
+        return this.context.decodeAudioData(record.data.slice(0));
+      })();
+      loading.catch(() => this._buffers.delete(id));
+      this._buffers.set(id, loading);
+    }
+    return this._buffers.get(id);
+  }
+}
+
+function userKey(id) {
+  return parseInt(id.replace('user-', ''), 10);
+}
+
+// ── Synthesis helpers ──────────────────────────────────────
+
+function osc(ctx, dest, type, freq, start, dur, detune = 0) {
+  const o = ctx.createOscillator();
+  o.type            = type;
+  o.frequency.value = freq;
+  if (detune) o.detune.value = detune;
+  o.connect(dest);
+  o.start(start);
+  o.stop(start + dur + 0.1);
+  return o;
+}
+
+/** A tone with a near-instant attack and an exponential decay. */
+function strike(ctx, dest, type, freq, start, peak, dur, attack = 0.005) {
+  const gain = ctx.createGain();
+  if (attack) {
+    gain.gain.setValueAtTime(0, start);
+    gain.gain.linearRampToValueAtTime(peak, start + attack);
+  } else {
+    gain.gain.setValueAtTime(peak, start);
+  }
+  gain.gain.exponentialRampToValueAtTime(0.0001, start + dur);
+  gain.connect(dest);
+  osc(ctx, gain, type, freq, start, dur);
+}
+
+/** Dry and wet sends into `dest`, the wet one through a synthetic reverb tail. */
+function reverb(ctx, dest, secs) {
+  const convolver = ctx.createConvolver();
+  const length    = ctx.sampleRate * secs;
+  const impulse   = ctx.createBuffer(2, length, ctx.sampleRate);
+  for (let ch = 0; ch < 2; ch++) {
+    const data = impulse.getChannelData(ch);
+    for (let i = 0; i < length; i++) {
+      data[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / length, 2.2);
+    }
+  }
+  convolver.buffer = impulse;
+
+  const dry = ctx.createGain();
+  const wetGain = ctx.createGain();
+  dry.gain.value     = 0.45;
+  wetGain.gain.value = 0.55;
+  dry.connect(dest);
+  convolver.connect(wetGain);
+  wetGain.connect(dest);
+  return { dry, wet: convolver };
+}
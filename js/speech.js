@@ -0,0 +1,96 @@
+/**
+ * speech.js — Spoken announcements (Web Speech API)
+ *
+ * Phrases are spoken with the browser's local speechSynthesis voices and
+ * queue up behind each other. `onStart` / `onEnd` bracket each phrase
+ * actually spoken, so callers can duck other audio under it.
+ */
+const CHARS_PER_SEC = 12;   // roughly, at rate 1 — to tell how long a phrase should take
+const END_GRACE     = 3000; // ms past that before a phrase with no end event counts as over
+
+export class Announcer {
+  /**
+   * @param {object} opts
+   * @param {string}   [opts.voiceURI] preferred voice ('' = browser default)
+   * @param {number}   [opts.rate]     0.5–2
+   * @param {number}   [opts.volume]   0–1
+   * @param {function} [opts.onStart]  () → void, when a phrase starts
+   * @param {function} [opts.onEnd]    () → void, when it ends or is cut off
+   */
+  constructor(opts = {}) {
+    this.voiceURI = opts.voiceURI || '';
+    this.rate     = opts.rate     || 1;
+    this.volume   = opts.volume   ?? 1;
+    this.onStart  = opts.onStart  || null;
+    this.onEnd    = opts.onEnd    || null;
+    // Chrome can drop an utterance's events once nothing references it
+    this._queued  = new Set();
+  }
+
+  /** @returns {boolean} whether this browser can speak at all */
+  get supported() {
+    return 'speechSynthesis' in window && 'SpeechSynthesisUtterance' in window;
+  }
+
+  /**
+   * Installed voices. Some browsers load them lazily — listen with
+   * `onVoicesChanged` and read them again.
+   * @returns {SpeechSynthesisVoice[]}
+   */
+  get voices() {
+    return this.supported ? speechSynthesis.getVoices() : [];
+  }
+
+  /** @param {function} cb  () → void, when the list of voices changes */
+  onVoicesChanged(cb) {
+    if (this.supported) speechSynthesis.addEventListener('voiceschanged', cb);
+  }
+
+  /**
+   * Speak a phrase after any already queued.
+   * @param {string} text
+   * @param {object}  [opts]
+   * @param {boolean} [opts.interrupt] drop whatever is being said first
+   * @returns {Promise<void>} settles once the phrase is over (or was dropped)
+   */
+  speak(text, { interrupt = false } = {}) {
+    if (!this.supported) return Promise.resolve();
+    if (interrupt) this.cancel();
+
+    const utterance = new SpeechSynthesisUtterance(text);
+    const voice = this.voices.find((v) => v.voiceURI === this.voiceURI);
+    if (voice) {
+      utterance.voice = voice;
+      utterance.lang  = voice.lang;
+    }
+    utterance.rate   = this.rate;
+    utterance.volume = this.volume;
+
+    return new Promise((resolve) => {
+      let started  = false;
+      let fallback = null;
+      // Cancelled phrases end with an error event instead
+      const finish = () => {
+        clearTimeout(fallback);
+        if (!this._queued.delete(utterance)) return;
+        if (started && this.onEnd) this.onEnd();
+        resolve();
+      };
+      utterance.onstart = () => {
+        started = true;
+        if (this.onStart) this.onStart();
+        // Some browsers never fire the end event, which would leave onEnd
+        // (and whatever it restores) waiting for good
+        fallback = setTimeout(finish, (text.length / (CHARS_PER_SEC * this.rate)) * 1000 + END_GRACE);
+      };
+      utterance.onend = utterance.onerror = finish;
+      this._queued.add(utterance);
+      speechSynthesis.speak(utterance);
+    });
+  }
+
+  /** Stop speaking and drop anything queued. */
+  cancel() {
+    if (this.supported) speechSynthesis.cancel();
+  }
+}
@@ -1,63 +1,565 @@
 /**
  * tasks.js — Simple to-do list with localStorage persistence
+ *
+ * One task can be marked "current"; completed Pomodoro focus sessions
+ * are credited to it (`pomodoros`) against its `estimate`. A task can
+ * hold a checklist of steps in `subtasks` ({ id, text, done }), shown
+ * expanded while `open` is set. Ids are unique across both levels, so
+ * toggle, rename, move and remove work on either.
+ *
+ * Top-level tasks also carry a `priority` ('high' | 'medium' | 'low' |
+ * null), an optional `due` ("YYYY-MM-DD", or "YYYY-MM-DDTHH:MM" with a
+ * time) and free-form `tags`, and may `repeat` ('daily' | 'weekdays' |
+ * 'weekly' | 'monthly'): ticking off a repeating task moves it on to its
+ * next due date instead. `repeatDay` remembers the day of the month it
+ * was set up for, so a monthly task due on the 31st comes back to it
+ * after a shorter month. Tasks saved before a field existed get its
+ * default when loaded.
+ *
+ * Every top-level task belongs to one named, coloured `list` ({ id, name,
+ * color, archived }). The built-in "Tasks" list holds anything saved
+ * before there were lists, and can be renamed but not archived. Archived
+ * lists keep their tasks but drop out of the combined views.
  */
+export const PRIORITIES  = ['high', 'medium', 'low'];
+export const REPEATS     = ['daily', 'weekdays', 'weekly', 'monthly'];
+export const LIST_COLORS = ['#7c6af5', '#f87171', '#f59e0b', '#34d399', '#60a5fa', '#f472b6', '#94a3b8'];
+export const DEFAULT_LIST = 'default';
+
 export class TaskList {
   /** @param {string} storageKey */
   constructor(storageKey = 'focusfi-tasks') {
-    this.key   = storageKey;
-    this.items = this._load();
+    this.key       = storageKey;
+    this.items     = this._load();
+    this.lists     = this._loadLists();
+    this.currentId = this._loadCurrent();
+    // A task whose list has gone missing falls back to the built-in one
+    this.items.forEach((t) => { if (!this.getList(t.list)) t.list = DEFAULT_LIST; });
+    // Tick a task off once all its steps are done (and back on if one isn't)
+    this.autoComplete = false;
   }
 
   // ── Mutation ─────────────────────────────────────────────
 
   /**
-   * Add a new task.
+   * Add a new task, or a step under an existing one.
    * @param {string} text
-   * @returns {object} the new task object
+   * @param {number|null} [parentId]
+   * @param {object} [fields]  list, priority, due, tags, estimate, repeat (top-level tasks only)
+   * @returns {object|null} the new task object (null if the parent is gone)
    */
-  add(text) {
-    const task = { id: Date.now(), text: text.trim(), done: false };
+  add(text, parentId = null, fields = {}) {
+    const id = this._newId();
+    if (parentId !== null) {
+      const parent = this.items.find((t) => t.id === parentId);
+      if (!parent) return null;
+      const sub = { id, text: text.trim(), done: false };
+      parent.subtasks = [...(parent.subtasks || []), sub];
+      parent.open = true;
+      this._settle(parent);
+      this._save();
+      return sub;
+    }
+    const task = withDefaults({ ...fields, id, text: text.trim() });
+    task.tags = normalizeTags(task.tags);
+    anchorRepeat(task);
+    if (!this.getList(task.list)) task.list = DEFAULT_LIST;
     this.items.push(task);
     this._save();
     return task;
   }
 
   /**
-   * Toggle the done state of a task.
+   * Toggle the done state of a task or step. Ticking off a repeating
+   * task instead moves it to its next due date, with its steps unticked.
    * @param {number} id
+   * @returns {boolean} true if a repeating task was moved on
    */
   toggle(id) {
+    const found = this._find(id);
+    if (!found) return false;
+    const { task, parent } = found;
+    if (!parent && task.repeat && !task.done) {
+      task.due = nextDue(task.due, task.repeat, new Date(), task.repeatDay);
+      task.subtasks.forEach((s) => { s.done = false; });
+      this._save();
+      return true;
+    }
+    task.done = !task.done;
+    if (parent) this._settle(parent);
+    this._save();
+    return false;
+  }
+
+  /**
+   * Change a task's text (blank text is ignored).
+   * @param {number} id
+   * @param {string} text
+   */
+  rename(id, text) {
+    const found = this._find(id);
+    if (found && text.trim()) { found.task.text = text.trim(); this._save(); }
+  }
+
+  /**
+   * Move a task to a new position among its siblings.
+   * @param {number} id
+   * @param {number} index  where it should end up, counted without it
+   */
+  move(id, index) {
+    const found = this._find(id);
+    if (!found) return;
+    const list = found.parent ? found.parent.subtasks : this.items;
+    list.splice(list.indexOf(found.task), 1);
+    list.splice(Math.max(0, Math.min(list.length, index)), 0, found.task);
+    this._save();
+  }
+
+  /**
+   * Move a task (with its steps) to the end of another list.
+   * @param {number} id
+   * @param {string} listId
+   */
+  moveToList(id, listId) {
     const task = this.items.find((t) => t.id === id);
-    if (task) { task.done = !task.done; this._save(); }
+    if (!task || !this.getList(listId) || task.list === listId) return;
+    task.list  = listId;
+    this.items = [...this.items.filter((t) => t !== task), task];
+    this._save();
   }
 
   /**
-   * Remove a task by id.
+   * Remove a task (with its steps) or a single step by id.
    * @param {number} id
    */
   remove(id) {
-    this.items = this.items.filter((t) => t.id !== id);
+    const found = this._find(id);
+    if (found?.parent) {
+      found.parent.subtasks = found.parent.subtasks.filter((t) => t.id !== id);
+      this._settle(found.parent);
+    } else {
+      this.items = this.items.filter((t) => t.id !== id);
+      if (this.currentId === id) this.setCurrent(null);
+    }
     this._save();
   }
 
+  /**
+   * Expand or collapse a task's steps.
+   * @param {number} id
+   * @param {boolean} open
+   */
+  setOpen(id, open) {
+    const task = this.items.find((t) => t.id === id);
+    if (task) { task.open = open; this._save(); }
+  }
+
+  /**
+   * Mark a task as the one being worked on (null to clear).
+   * @param {number|null} id
+   */
+  setCurrent(id) {
+    this.currentId = id;
+    if (id === null) localStorage.removeItem(`${this.key}-current`);
+    else localStorage.setItem(`${this.key}-current`, String(id));
+  }
+
+  /**
+   * Set the estimated number of pomodoros for a task.
+   * @param {number} id
+   * @param {number} count
+   */
+  setEstimate(id, count) {
+    const task = this.items.find((t) => t.id === id);
+    if (task) { task.estimate = Math.max(0, Math.min(12, count)); this._save(); }
+  }
+
+  /**
+   * @param {number} id
+   * @param {'high'|'medium'|'low'|null} priority
+   */
+  setPriority(id, priority) {
+    const task = this.items.find((t) => t.id === id);
+    if (task) { task.priority = PRIORITIES.includes(priority) ? priority : null; this._save(); }
+  }
+
+  /**
+   * @param {number} id
+   * @param {string|null} due  "YYYY-MM-DD" or "YYYY-MM-DDTHH:MM" (null clears it)
+   */
+  setDue(id, due) {
+    const task = this.items.find((t) => t.id === id);
+    if (!task) return;
+    task.due = due || null;
+    anchorRepeat(task);
+    this._save();
+  }
+
+  /**
+   * @param {number} id
+   * @param {'daily'|'weekdays'|'weekly'|'monthly'|null} repeat  a repeating task without a due date is due today
+   */
+  setRepeat(id, repeat) {
+    const task = this.items.find((t) => t.id === id);
+    if (!task) return;
+    task.repeat = REPEATS.includes(repeat) ? repeat : null;
+    if (task.repeat && !task.due) task.due = toDateString(new Date());
+    anchorRepeat(task);
+    this._save();
+  }
+
+  /**
+   * @param {number} id
+   * @param {string[]} tags  stored lower-case, without '#', each once
+   */
+  setTags(id, tags) {
+    const task = this.items.find((t) => t.id === id);
+    if (task) { task.tags = normalizeTags(tags); this._save(); }
+  }
+
+  /**
+   * Credit one completed pomodoro to the current task.
+   * @returns {object|null} the credited task
+   */
+  creditCurrent() {
+    const task = this.current;
+    if (task) { task.pomodoros = (task.pomodoros || 0) + 1; this._save(); }
+    return task;
+  }
+
+  // ── Lists ────────────────────────────────────────────────
+
+  /**
+   * Start a new, empty list in the next colour along.
+   * @param {string} name
+   * @returns {object} the new list
+   */
+  addList(name) {
+    const list = {
+      id: `list-${Date.now()}`, name: name.trim(),
+      color: LIST_COLORS[this.lists.length % LIST_COLORS.length], archived: false,
+    };
+    this.lists.push(list);
+    this._saveLists();
+    return list;
+  }
+
+  /**
+   * Rename, recolour, archive or restore a list. A blank name is ignored,
+   * and the built-in list stays out of the archive.
+   * @param {string} id
+   * @param {{ name?: string, color?: string, archived?: boolean }} changes
+   */
+  updateList(id, changes) {
+    const list = this.getList(id);
+    if (!list) return;
+    if (changes.name?.trim()) list.name = changes.name.trim();
+    if (changes.color)        list.color = changes.color;
+    if ('archived' in changes && id !== DEFAULT_LIST) list.archived = !!changes.archived;
+    this._saveLists();
+  }
+
+  /** @param {string} id */
+  getList(id) {
+    return this.lists.find((l) => l.id === id) || null;
+  }
+
   // ── Queries ──────────────────────────────────────────────
 
-  /** @returns {{ done: number, total: number }} */
-  get progress() {
+  /** @returns {object|null} the current task, if it still exists */
+  get current() {
+    return this.items.find((t) => t.id === this.currentId) || null;
+  }
+
+  /**
+   * Tasks done out of all tasks in a list, plus `steps`: every checklist
+   * item counted on its own, with a task that has no steps counting as one.
+   * @param {string|null} [list]  null for every list not archived
+   * @returns {{ done: number, total: number, steps: { done: number, total: number } }}
+   */
+  progress(list = null) {
+    const tasks = this._inList(list);
+    const steps = { done: 0, total: 0 };
+    tasks.forEach((t) => {
+      const subs = t.subtasks || [];
+      if (!subs.length) {
+        steps.total += 1;
+        if (t.done) steps.done += 1;
+        return;
+      }
+      steps.total += subs.length;
+      steps.done  += t.done ? subs.length : subs.filter((s) => s.done).length;
+    });
     return {
-      done:  this.items.filter((t) => t.done).length,
-      total: this.items.length,
+      done:  tasks.filter((t) => t.done).length,
+      total: tasks.length,
+      steps,
     };
   }
 
+  /**
+   * @param {string|null} [list]  null for every list not archived
+   * @returns {string[]} every tag in use there, sorted
+   */
+  tags(list = null) {
+    return [...new Set(this._inList(list).flatMap((t) => t.tags))].sort();
+  }
+
+  /**
+   * Top-level tasks to show, filtered then sorted. Sorting is stable, so
+   * ties keep the manual order.
+   * @param {object} [opts]
+   * @param {string|null} [opts.list]  one list's tasks, or null for every list not archived
+   * @param {'all'|'active'|'done'|'today'} [opts.filter]  'today' is due today or overdue, and not done
+   * @param {string} [opts.tag]   only tasks with this tag
+   * @param {'manual'|'priority'|'due'} [opts.sort]
+   * @param {Date}   [opts.now]
+   * @returns {object[]}
+   */
+  view({ list = null, filter = 'all', tag = '', sort = 'manual', now = new Date() } = {}) {
+    let tasks = this._inList(list).filter((t) => {
+      if (tag && !t.tags.includes(tag)) return false;
+      if (filter === 'active') return !t.done;
+      if (filter === 'done')   return t.done;
+      if (filter === 'today')  return !t.done && dueState(t, now) !== null;
+      return true;
+    });
+    if (sort === 'priority') {
+      const rank = (t) => (t.priority ? PRIORITIES.indexOf(t.priority) : PRIORITIES.length);
+      tasks = [...tasks].sort((a, b) => rank(a) - rank(b));
+    } else if (sort === 'due') {
+      const at = (t) => (t.due ? dueDate(t).getTime() : Infinity);
+      tasks = [...tasks].sort((a, b) => at(a) - at(b));
+    }
+    return tasks;
+  }
+
+  /**
+   * @param {object} task
+   * @returns {{ done: number, total: number }} steps of a task ticked off
+   */
+  subtaskProgress(task) {
+    const subs = task.subtasks || [];
+    return { done: subs.filter((s) => s.done).length, total: subs.length };
+  }
+
+  // ── Private ──────────────────────────────────────────────
+
+  /** Top-level tasks of one list, or of every list not archived. */
+  _inList(list) {
+    if (list !== null) return this.items.filter((t) => t.list === list);
+    return this.items.filter((t) => !this.getList(t.list)?.archived);
+  }
+
+  /** @returns {{ task: object, parent: object|null }|null} */
+  _find(id) {
+    for (const task of this.items) {
+      if (task.id === id) return { task, parent: null };
+      const sub = (task.subtasks || []).find((s) => s.id === id);
+      if (sub) return { task: sub, parent: task };
+    }
+    return null;
+  }
+
+  /** Date-based, bumped past any id already in use at either level. */
+  _newId() {
+    let id = Date.now();
+    while (this._find(id)) id += 1;
+    return id;
+  }
+
+  /** Keep a parent's done state in line with its steps, if auto-completing. */
+  _settle(parent) {
+    if (!this.autoComplete || !parent.subtasks.length) return;
+    parent.done = parent.subtasks.every((s) => s.done);
+  }
+
   // ── Storage ──────────────────────────────────────────────
 
   _load() {
-    try { return JSON.parse(localStorage.getItem(this.key)) || []; }
-    catch { return []; }
+    let saved = [];
+    try { saved = JSON.parse(localStorage.getItem(this.key)) || []; }
+    catch { /* ignore */ }
+    return saved.map(withDefaults);
+  }
+
+  _loadLists() {
+    let saved = [];
+    try { saved = JSON.parse(localStorage.getItem(`${this.key}-lists`)) || []; }
+    catch { /* ignore */ }
+    // The built-in list always exists, first
+    const builtIn = { id: DEFAULT_LIST, name: 'Tasks', color: LIST_COLORS[0], archived: false };
+    return [
+      { ...builtIn, ...saved.find((l) => l.id === DEFAULT_LIST), archived: false },
+      ...saved.filter((l) => l.id !== DEFAULT_LIST),
+    ];
+  }
+
+  _loadCurrent() {
+    const id = parseInt(localStorage.getItem(`${this.key}-current`), 10);
+    return isNaN(id) ? null : id;
   }
 
   _save() {
     localStorage.setItem(this.key, JSON.stringify(this.items));
   }
+
+  _saveLists() {
+    localStorage.setItem(`${this.key}-lists`, JSON.stringify(this.lists));
+  }
+}
+
+// ── Helpers ────────────────────────────────────────────────
+
+/** A task with any field it was saved without filled in. */
+function withDefaults(task) {
+  return {
+    list: DEFAULT_LIST, done: false, estimate: 0, pomodoros: 0, priority: null, due: null, repeat: null, repeatDay: null, ...task,
+    subtasks: task.subtasks || [], tags: task.tags || [],
+  };
+}
+
+/** Pin a repeating task's day of the month to the due date it has now. */
+function anchorRepeat(task) {
+  task.repeatDay = task.repeat && task.due ? Number(task.due.slice(8, 10)) : null;
+}
+
+/**
+ * When a task falls due: its date and time, or the end of its day if it
+ * has only a date.
+ * @param {object} task
+ * @returns {Date|null}
+ */
+export function dueDate(task) {
+  if (!task.due) return null;
+  const [date, time] = task.due.split('T');
+  const [y, m, d] = date.split('-').map(Number);
+  const [hh, mm]  = time ? time.split(':').map(Number) : [23, 59];
+  return new Date(y, m - 1, d, hh, mm, time ? 0 : 59);
+}
+
+/**
+ * @param {object} task
+ * @param {Date} [now]
+ * @returns {'overdue'|'today'|null}
+ */
+export function dueState(task, now = new Date()) {
+  const due = dueDate(task);
+  if (!due || task.done) return null;
+  if (due < now) return 'overdue';
+  return due.toDateString() === now.toDateString() ? 'today' : null;
+}
+
+/**
+ * @param {string[]} tags  with or without '#'
+ * @returns {string[]} lower-case, trimmed, without duplicates
+ */
+export function normalizeTags(tags) {
+  return [...new Set(tags.map((t) => t.trim().replace(/^#+/, '').toLowerCase()).filter(Boolean))];
+}
+
+/** @returns {string} a local date as "YYYY-MM-DD" */
+export function toDateString(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * The first due date after today on a repeat schedule, keeping any time.
+ * @param {string|null} due
+ * @param {string} repeat
+ * @param {Date} [now]
+ * @param {number|null} [day]  day of the month a monthly repeat keeps to (the due date's by default)
+ * @returns {string}
+ */
+export function nextDue(due, repeat, now = new Date(), day = null) {
+  const [date, time] = (due || toDateString(now)).split('T');
+  const [y, m, dueDay] = date.split('-').map(Number);
+  const d = day || dueDay;
+  const next  = new Date(y, m - 1, dueDay);
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  do {
+    if (repeat === 'monthly') {
+      // Stay on the same day of the month, or its last day if shorter
+      const month = next.getMonth() + 1;
+      next.setDate(1);
+      next.setMonth(month);
+      next.setDate(Math.min(d, new Date(next.getFullYear(), month + 1, 0).getDate()));
+    } else {
+      next.setDate(next.getDate() + (repeat === 'weekly' ? 7 : 1));
+      if (repeat === 'weekdays') while (next.getDay() === 0 || next.getDay() === 6) next.setDate(next.getDate() + 1);
+    }
+  } while (next <= today);
+  return time ? `${toDateString(next)}T${time}` : toDateString(next);
+}
+
+// ── Quick-add parsing ──────────────────────────────────────
+
+const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const PRIORITY_MARKS = { high: 'high', h: 'high', 1: 'high', medium: 'medium', med: 'medium', m: 'medium', 2: 'medium', low: 'low', l: 'low', 3: 'low' };
+
+/**
+ * Pull inline markers out of new task text:
+ *   #tag  ·  !high / !1 (priority)  ·  ~3 (estimated pomodoros)  ·
+ *   @today / @tomorrow / @fri / @2026-11-02 (due)  ·  ^daily (repeat)
+ * Anything that isn't a valid marker stays in the text.
+ * @param {string} input
+ * @param {Date} [now]
+ * @returns {{ text: string, tags: string[], priority: string|null, estimate: number,
+ *   due: string|null, repeat: string|null }}
+ */
+export function parseQuickAdd(input, now = new Date()) {
+  const parsed = { text: '', tags: [], priority: null, estimate: 0, due: null, repeat: null };
+  const words  = input.trim().split(/\s+/).filter((word) => {
+    const mark = word.charAt(0);
+    const rest = word.slice(1).toLowerCase();
+    if (!rest) return true;
+    if (mark === '#' && /^[\p{L}\p{N}_-]+$/u.test(rest)) {
+      parsed.tags.push(rest);
+      return false;
+    }
+    if (mark === '!' && PRIORITY_MARKS[rest]) {
+      parsed.priority = PRIORITY_MARKS[rest];
+      return false;
+    }
+    if (mark === '~' && /^\d+$/.test(rest) && +rest >= 1 && +rest <= 12) {
+      parsed.estimate = +rest;
+      return false;
+    }
+    if (mark === '@') {
+      const due = parseDueWord(rest, now);
+      if (due) { parsed.due = due; return false; }
+    }
+    if (mark === '^' && REPEATS.includes(rest)) {
+      parsed.repeat = rest;
+      return false;
+    }
+    return true;
+  });
+  parsed.text = words.join(' ');
+  parsed.tags = normalizeTags(parsed.tags);
+  if (parsed.repeat && !parsed.due) parsed.due = toDateString(now);
+  return parsed;
+}
+
+/** "today", "tomorrow" / "tmr", a weekday (the next one, today included) or "YYYY-MM-DD". */
+function parseDueWord(word, now) {
+  const date = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  if (word === 'today') return toDateString(date);
+  if (word === 'tomorrow' || word === 'tmr') {
+    date.setDate(date.getDate() + 1);
+    return toDateString(date);
+  }
+  // "fri", "frid" and "friday" all work
+  const day = word.length >= 3 ? DAYS.findIndex((d) => d.startsWith(word)) : -1;
+  if (day !== -1) {
+    date.setDate(date.getDate() + ((day - date.getDay() + 7) % 7));
+    return toDateString(date);
+  }
+  const iso = word.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (iso) {
+    const d = new Date(+iso[1], +iso[2] - 1, +iso[3]);
+    if (d.getMonth() === +iso[2] - 1) return toDateString(d);
+  }
+  return null;
 }
@@ -2,9 +2,21 @@
  * timer.js — Pomodoro-style focus timer
  *
  * Modes: focus | short (break) | long (break)
- * After every 4 focus sessions a long break is suggested.
+ * After every `longBreakInterval` focus sessions (default 4) a long
+ * break is suggested. The next session can start automatically.
  * Fires callbacks on each tick and when a session ends.
  * The caller is responsible for pausing/resuming music.
+ *
+ * Interruptions logged during a session travel with its record.
+ *
+ * With `allowOvertime` on, a focus session that reaches zero keeps
+ * counting up (negative `timeLeft`, shown as "+MM:SS") until `finish`
+ * is called; the following break is stretched by the same ratio.
+ *
+ * A running session tracks an absolute end timestamp rather than
+ * counting ticks, so background-tab throttling or laptop sleep can't
+ * make it run long. State is persisted to localStorage on every change
+ * so a reload resumes exactly where it was (see `restore`).
  */
 export class PomodoroTimer {
   /**
@@ -12,6 +24,12 @@ export class PomodoroTimer {
    * @param {function} [opts.onTick]       (secondsLeft, mode) → void
    * @param {function} [opts.onEnd]        (mode, totalFocusSessions) → void
    * @param {function} [opts.onModeChange] (mode) → void
+   * @param {function} [opts.onAutoStart]  (mode) → void, after a session auto-starts
+   * @param {function} [opts.onOvertime]   (mode) → void, when a focus session passes zero
+   * @param {function} [opts.onSessionRecord] (session) → void, when a started
+   *   session completes or is abandoned; see `_record` for the shape
+   * @param {function} [opts.onStateChange] () → void, after any change is saved
+   * @param {string}   [opts.storageKey]   localStorage key for persisted state
    */
   constructor(opts = {}) {
     this.durations = {
@@ -21,14 +39,32 @@ export class PomodoroTimer {
     };
 
     this.mode          = 'focus';
-    this.timeLeft      = this.durations.focus;
+    this.planned       = this.durations.focus; // length of the current session
+    this.timeLeft      = this.planned;
     this.isRunning     = false;
     this.focusSessions = 0;   // completed focus sessions
+    this.endsAt        = null; // epoch ms the running session ends at
+    this.startedAt     = null; // epoch ms the current session first started
+    this.pausedAt      = null; // epoch ms the current session was last paused
+    this.interruptions = [];   // { at, kind: 'internal'|'external', note }
+    this.idle          = 0;    // seconds of the current session flagged as away
     this._interval     = null;
 
+    this.inOvertime    = false;
+
+    this.longBreakInterval = 4; // focus sessions per cycle
+    this.autoStartBreaks   = false;
+    this.autoStartFocus    = false;
+    this.allowOvertime     = false;
+
+    this.key          = opts.storageKey   || 'focusfi-timer';
     this.onTick       = opts.onTick       || null;
     this.onEnd        = opts.onEnd        || null;
     this.onModeChange = opts.onModeChange || null;
+    this.onAutoStart  = opts.onAutoStart  || null;
+    this.onOvertime   = opts.onOvertime   || null;
+    this.onSessionRecord = opts.onSessionRecord || null;
+    this.onStateChange   = opts.onStateChange   || null;
   }
 
   // ── Control ──────────────────────────────────────────────
@@ -36,13 +72,23 @@ export class PomodoroTimer {
   start() {
     if (this.isRunning) return;
     this.isRunning = true;
-    this._interval = setInterval(() => this._tick(), 1000);
+    this.endsAt    = Date.now() + this.timeLeft * 1000;
+    if (!this.startedAt) this.startedAt = Date.now();
+    this.pausedAt  = null;
+    this._startInterval();
+    this._save();
   }
 
   pause() {
+    if (this.isRunning) {
+      this.timeLeft = this._secondsUntilEnd();
+      if (this.startedAt) this.pausedAt = Date.now();
+    }
     this.isRunning = false;
+    this.endsAt    = null;
     clearInterval(this._interval);
     this._interval = null;
+    this._save();
   }
 
   /** Toggle between running and paused. Returns new isRunning state. */
@@ -51,18 +97,70 @@ export class PomodoroTimer {
     return this.isRunning;
   }
 
+  /**
+   * Log an interruption against the current session.
+   * @param {'internal'|'external'} kind
+   * @param {string} [note]
+   */
+  logInterruption(kind, note = '') {
+    this.interruptions.push({ at: Date.now(), kind, note: note.trim() });
+    this._save();
+  }
+
+  /**
+   * Shift the time left in the current session, e.g. to give back time
+   * that ran while the user was away (positive) or to count a pause as
+   * session time (negative). Ends the session if that uses it up.
+   * @param {number} deltaSecs
+   */
+  adjust(deltaSecs) {
+    if (this.isRunning) this.timeLeft = this._secondsUntilEnd();
+    this.timeLeft = Math.min(this.planned, this.timeLeft + deltaSecs);
+    if (!this._canOvertime()) this.timeLeft = Math.max(0, this.timeLeft);
+    if (this.isRunning) this.endsAt = Date.now() + this.timeLeft * 1000;
+    this._save();
+    if (this.onTick) this.onTick(this.timeLeft, this.mode);
+    if (this.timeLeft <= 0 && !this._canOvertime()) this._handleEnd();
+  }
+
+  /**
+   * Flag part of the current session as time spent away from the desk.
+   * @param {number} secs
+   */
+  markIdle(secs) {
+    this.idle += secs;
+    this._save();
+  }
+
+  /**
+   * End the current session now — e.g. after running into overtime —
+   * recording its real length and advancing to the next mode.
+   */
+  finish() {
+    if (this.isRunning) this.timeLeft = this._secondsUntilEnd();
+    this._handleEnd();
+  }
+
   /** Reset the current mode back to its full duration. */
   reset() {
     this.pause();
-    this.timeLeft = this.durations[this.mode];
+    this._record(false);
+    this.planned    = this.durations[this.mode];
+    this.timeLeft   = this.planned;
+    this.inOvertime = false;
+    this._save();
     if (this.onTick) this.onTick(this.timeLeft, this.mode);
   }
 
   /** Switch to a named mode and reset. */
   setMode(mode) {
-    this.mode     = mode;
-    this.timeLeft = this.durations[mode];
     this.pause();
+    this._record(false);
+    this.mode       = mode;
+    this.planned    = this.durations[mode];
+    this.timeLeft   = this.planned;
+    this.inOvertime = false;
+    this._save();
     if (this.onModeChange) this.onModeChange(mode);
     if (this.onTick) this.onTick(this.timeLeft, mode);
   }
@@ -75,52 +173,195 @@ export class PomodoroTimer {
     const secs = Math.max(1, Math.min(99, minutes)) * 60;
     this.durations[mode] = secs;
     if (this.mode === mode) this.reset();
+    else this._save();
+  }
+
+  /** Set how many focus sessions make up a cycle before the long break. */
+  setLongBreakInterval(sessions) {
+    this.longBreakInterval = Math.max(1, Math.min(12, sessions));
+    this._save();
+  }
+
+  /**
+   * Restore persisted state. Call once the callbacks are wired up.
+   * A session that ran out while the page was closed is ended now,
+   * so `onEnd` fires and the cycle advances as if it had been open.
+   * @returns {boolean} true if a running session was resumed or ended
+   */
+  restore() {
+    let saved;
+    try { saved = JSON.parse(localStorage.getItem(this.key)); }
+    catch { saved = null; }
+    if (!saved || !this.durations[saved.mode]) return false;
+
+    Object.assign(this.durations, saved.durations);
+    this.mode          = saved.mode;
+    this.focusSessions = saved.focusSessions || 0;
+    this.longBreakInterval = saved.longBreakInterval || this.longBreakInterval;
+    this.planned       = saved.planned || this.durations[this.mode];
+    this.timeLeft      = saved.timeLeft ?? this.planned;
+    this.startedAt     = saved.startedAt || null;
+    this.pausedAt      = saved.pausedAt || null;
+    this.interruptions = saved.interruptions || [];
+    this.idle          = saved.idle || 0;
+    this.inOvertime    = this.timeLeft <= 0;
+
+    if (this.onModeChange) this.onModeChange(this.mode);
+
+    if (saved.isRunning && saved.endsAt) {
+      this.isRunning = true;
+      this.endsAt    = saved.endsAt;
+      this.timeLeft  = this._secondsUntilEnd();
+      if (this.timeLeft <= 0 && !this._canOvertime()) {
+        this._handleEnd();
+      } else {
+        this.inOvertime = this.timeLeft <= 0;
+        this._startInterval();
+        if (this.onTick) this.onTick(this.timeLeft, this.mode);
+      }
+      return true;
+    }
+
+    if (this.onTick) this.onTick(this.timeLeft, this.mode);
+    return false;
   }
 
   // ── Helpers ──────────────────────────────────────────────
 
-  /** Format seconds as MM:SS string. */
+  /** Format seconds as MM:SS string ("+MM:SS" for overtime). */
   format(seconds) {
-    const m = String(Math.floor(seconds / 60)).padStart(2, '0');
-    const s = String(seconds % 60).padStart(2, '0');
-    return `${m}:${s}`;
+    const abs = Math.abs(seconds);
+    const m = String(Math.floor(abs / 60)).padStart(2, '0');
+    const s = String(abs % 60).padStart(2, '0');
+    return `${seconds < 0 ? '+' : ''}${m}:${s}`;
   }
 
   /**
    * Session progress dots as a string, e.g. "●●○○"
-   * Represents progress within the current group of 4.
+   * Represents progress within the current cycle.
    */
   get dots() {
-    const filled = this.focusSessions % 4;
-    return '●'.repeat(filled) + '○'.repeat(4 - filled);
+    const filled = this.focusSessions % this.longBreakInterval;
+    return '●'.repeat(filled) + '○'.repeat(this.longBreakInterval - filled);
   }
 
-  /** 1-based session number within the current group of 4. */
+  /** 1-based session number within the current cycle. */
   get sessionNumber() {
-    return (this.focusSessions % 4) + 1;
+    return (this.focusSessions % this.longBreakInterval) + 1;
   }
 
   // ── Private ──────────────────────────────────────────────
 
+  /**
+   * Poll a few times a second so the display flips close to the real
+   * second boundary; the remaining time is always derived from endsAt.
+   */
+  _startInterval() {
+    clearInterval(this._interval);
+    this._interval = setInterval(() => this._tick(), 250);
+  }
+
+  _canOvertime() {
+    return this.allowOvertime && this.mode === 'focus';
+  }
+
+  /** Seconds left — negative once a session that may overrun passes zero. */
+  _secondsUntilEnd() {
+    const left = Math.ceil((this.endsAt - Date.now()) / 1000) || 0; // no -0
+    return this._canOvertime() ? left : Math.max(0, left);
+  }
+
   _tick() {
-    this.timeLeft -= 1;
+    const left = this._secondsUntilEnd();
+    if (left === this.timeLeft) return;
+    this.timeLeft = left;
+    if (this.timeLeft <= 0 && this._canOvertime()) {
+      if (!this.inOvertime) {
+        this.inOvertime = true;
+        if (this.onOvertime) this.onOvertime(this.mode);
+      }
+      if (this.onTick) this.onTick(this.timeLeft, this.mode);
+      return;
+    }
     if (this.onTick) this.onTick(this.timeLeft, this.mode);
     if (this.timeLeft <= 0) this._handleEnd();
   }
 
   _handleEnd() {
     const endedMode = this.mode;
+    // How far the session overran, e.g. 1.2 for 30 min of a 25 min session
+    const stretch   = this.timeLeft < 0 ? (this.planned - this.timeLeft) / this.planned : 1;
 
     if (endedMode === 'focus') this.focusSessions += 1;
+    this._record(true);
 
     // Notify caller (e.g. pause music on focus end)
     if (this.onEnd) this.onEnd(endedMode, this.focusSessions);
 
     // Auto-advance to the next mode
     if (endedMode === 'focus') {
-      this.setMode(this.focusSessions % 4 === 0 ? 'long' : 'short');
+      this.setMode(this.focusSessions % this.longBreakInterval === 0 ? 'long' : 'short');
+      // An overtime focus session earns a proportionally longer break
+      if (stretch > 1) {
+        this.planned  = Math.max(60, Math.round((this.planned * stretch) / 60) * 60);
+        this.timeLeft = this.planned;
+        this._save();
+        if (this.onTick) this.onTick(this.timeLeft, this.mode);
+      }
     } else {
       this.setMode('focus');
     }
+
+    const autoStart = this.mode === 'focus' ? this.autoStartFocus : this.autoStartBreaks;
+    if (autoStart) {
+      this.start();
+      if (this.onAutoStart) this.onAutoStart(this.mode);
+    }
+  }
+
+  /**
+   * Report the current session (if it was ever started) and clear it.
+   * Actual time is the running time, so pauses don't count.
+   * @param {boolean} completed  false when reset or switched away early
+   */
+  _record(completed) {
+    const { startedAt, interruptions, idle } = this;
+    this.startedAt     = null;
+    this.pausedAt      = null;
+    this.interruptions = [];
+    this.idle          = 0;
+    if (!startedAt) return;
+    const session = {
+      mode:    this.mode,
+      start:   startedAt,
+      // A session that ran out (maybe while the page was closed) ended at endsAt
+      end:     completed && this.timeLeft === 0 && this.endsAt ? this.endsAt : Date.now(),
+      planned: this.planned,
+      actual:  this.planned - this.timeLeft,
+      completed,
+      interruptions,
+      idle,
+    };
+    if (this.onSessionRecord && session.actual > 0) this.onSessionRecord(session);
+  }
+
+  // ── Storage ──────────────────────────────────────────────
+
+  _save() {
+    localStorage.setItem(this.key, JSON.stringify({
+      mode:          this.mode,
+      planned:       this.planned,
+      timeLeft:      this.timeLeft,
+      isRunning:     this.isRunning,
+      endsAt:        this.endsAt,
+      startedAt:     this.startedAt,
+      pausedAt:      this.pausedAt,
+      interruptions: this.interruptions,
+      idle:          this.idle,
+      focusSessions: this.focusSessions,
+      durations:     this.durations,
+      longBreakInterval: this.longBreakInterval,
+    }));
+    if (this.onStateChange) this.onStateChange();
   }
 }
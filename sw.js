@@ -0,0 +1,73 @@
+/**
+ * sw.js — focusfi service worker (timer notifications)
+ *
+ * The page posts { type: 'schedule', id, at, title, options } and
+ * { type: 'cancel', id } messages (see js/notifier.js), a schedule only
+ * a few minutes before it's due. The page shows the notification itself
+ * when its timer ends; this is the fallback for a page too throttled to
+ * get there on time.
+ *
+ * Where Notification Triggers are supported the browser shows the
+ * notification itself at `at`. Otherwise the worker holds a timeout open
+ * with waitUntil, which browsers allow for a few minutes and which isn't
+ * subject to background-tab throttling.
+ */
+const pending = new Map(); // id → { timeout, resolve }
+const hasTriggers = typeof TimestampTrigger !== 'undefined';
+
+self.addEventListener('install', () => self.skipWaiting());
+self.addEventListener('activate', (e) => e.waitUntil(self.clients.claim()));
+
+self.addEventListener('message', (e) => {
+  const msg = e.data || {};
+  if (msg.type === 'schedule') e.waitUntil(schedule(msg));
+  if (msg.type === 'cancel')   e.waitUntil(cancel(msg.id));
+});
+
+async function schedule({ id, at, title, options }) {
+  await cancel(id);
+
+  if (hasTriggers) {
+    return self.registration.showNotification(title, { ...options, showTrigger: new TimestampTrigger(at) });
+  }
+
+  // Keep the worker alive until the notification is due (or cancelled)
+  return new Promise((resolve) => {
+    const timeout = setTimeout(() => {
+      pending.delete(id);
+      resolve(self.registration.showNotification(title, options));
+    }, Math.max(0, at - Date.now()));
+    pending.set(id, { timeout, resolve });
+  });
+}
+
+async function cancel(id) {
+  const timer = pending.get(id);
+  if (timer) {
+    clearTimeout(timer.timeout);
+    timer.resolve();
+    pending.delete(id);
+  }
+  // Triggered notifications that haven't shown yet; ones already on
+  // screen stay so their actions can still be used
+  const list = await self.registration.getNotifications({ tag: `focusfi-${id}`, includeTriggered: true });
+  list.filter((n) => n.timestamp > Date.now()).forEach((n) => n.close());
+}
+
+// Focus focusfi and pass the chosen action back to the page. A window
+// opened for it can't take a message yet, so it gets the action in its URL.
+self.addEventListener('notificationclick', (e) => {
+  e.notification.close();
+  const action = e.action || 'open';
+  const data   = e.notification.data;
+  e.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    if (!windows.length) {
+      await self.clients.openWindow(`./?${new URLSearchParams({ 'notification-action': action, ...data })}`);
+      return;
+    }
+    const client = windows[0];
+    if (client.focus) await client.focus().catch(() => {});
+    client.postMessage({ type: 'notification-action', action, data });
+  })());
+});